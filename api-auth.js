@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+
+// Default lifetime of tokens issued to the React UI (15 minutes)
+const DEFAULT_TOKEN_TTL_SECONDS = 15 * 60;
+
+// Lifetime of the launch codes in the Canvas "Open full form" link (10 minutes)
+const LAUNCH_CODE_TTL_SECONDS = 10 * 60;
+
+// Helper function to read the secret used to sign UI tokens
+function getTokenSecret() {
+  return process.env.APP_TOKEN_SECRET || '';
+}
+
+// Helper function to read the token lifetime from the environment
+function getTokenTtlSeconds() {
+  const ttl = parseInt(process.env.APP_TOKEN_TTL_SECONDS, 10);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TOKEN_TTL_SECONDS;
+}
+
+// Helper function to read the list of accepted API keys (comma separated)
+function getApiKeys() {
+  return (process.env.API_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+}
+
+// Helper function to sign a token payload
+function sign(encodedPayload, secret) {
+  return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+// Helper function to compare two strings without leaking timing information
+function safeEqual(a, b) {
+  const aBuffer = Buffer.from(String(a));
+  const bBuffer = Buffer.from(String(b));
+  return aBuffer.length === bBuffer.length && crypto.timingSafeEqual(aBuffer, bBuffer);
+}
+
+// Helper function to sign claims that expire after ttlSeconds
+// Returns null if APP_TOKEN_SECRET is not configured
+function issueSignedToken(claims, ttlSeconds) {
+  const secret = getTokenSecret();
+  if (!secret) {
+    console.warn('APP_TOKEN_SECRET is not set, cannot issue UI tokens');
+    return null;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    ...claims,
+    iat: now,
+    exp: now + ttlSeconds
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload, secret)}`;
+}
+
+// Helper function to verify a signed token and return its payload, or null if it is invalid or expired
+function verifySignedToken(token) {
+  const secret = getTokenSecret();
+  if (!secret || !token || typeof token !== 'string') {
+    return null;
+  }
+
+  const [encodedPayload, signature] = token.split('.');
+  if (!encodedPayload || !signature || !safeEqual(sign(encodedPayload, secret), signature)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Issue a signed, short-lived token for the React UI
+// Returns null if APP_TOKEN_SECRET is not configured
+function issueUiToken(claims = {}) {
+  return issueSignedToken(claims, getTokenTtlSeconds());
+}
+
+// Verify a UI token and return its payload, or null if it is invalid or expired
+// Launch codes are not accepted as tokens, they have to be exchanged first
+function verifyUiToken(token) {
+  const payload = verifySignedToken(token);
+  return payload && payload.purpose !== 'launch' ? payload : null;
+}
+
+// Issue a single-use launch code that the React UI exchanges for a token (see POST /api/ui-token)
+// The code carries a random ID so the server can refuse a second exchange
+function issueLaunchCode(claims = {}) {
+  return issueSignedToken({
+    ...claims,
+    purpose: 'launch',
+    jti: crypto.randomBytes(16).toString('hex')
+  }, LAUNCH_CODE_TTL_SECONDS);
+}
+
+// Verify a launch code and return its payload, or null if it is invalid or expired
+function verifyLaunchCode(code) {
+  const payload = verifySignedToken(code);
+  return payload && payload.purpose === 'launch' && payload.jti ? payload : null;
+}
+
+// Express middleware that only lets through requests carrying either a valid
+// UI token (Authorization: Bearer <token>) or a configured API key (X-API-Key)
+function requireApiAuth(req, res, next) {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    if (getApiKeys().some(key => safeEqual(key, apiKey))) {
+      req.auth = { type: 'api_key' };
+      return next();
+    }
+    console.warn(`Rejecting ${req.method} ${req.originalUrl} from ${req.ip}: invalid API key`);
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const [scheme, token] = authorization.split(' ');
+  if (scheme === 'Bearer' && token) {
+    const payload = verifyUiToken(token);
+    if (payload) {
+      req.auth = { type: 'token', ...payload };
+      return next();
+    }
+    console.warn(`Rejecting ${req.method} ${req.originalUrl} from ${req.ip}: invalid or expired token`);
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  console.warn(`Rejecting unauthenticated ${req.method} ${req.originalUrl} from ${req.ip}`);
+  return res.status(401).json({ error: 'Authentication required' });
+}
+
+// Express middleware for admin endpoints (e.g. the failed job list): only API keys are let through,
+// UI tokens get 403 as they are tied to a single conversation
+function requireApiKey(req, res, next) {
+  requireApiAuth(req, res, () => {
+    if (req.auth.type !== 'api_key') {
+      console.warn(`Rejecting ${req.method} ${req.originalUrl} from ${req.ip}: UI tokens are not accepted`);
+      return res.status(403).json({ error: 'API key required', details: 'This endpoint is only available with an X-API-Key' });
+    }
+    return next();
+  });
+}
+
+// Express middleware factory for webhooks authenticated with a shared secret
+// The secret is read from the given environment variable and expected in the given header
+function requireWebhookSecret(envVar, headerName) {
+  return (req, res, next) => {
+    const secret = process.env[envVar];
+    if (!secret) {
+      console.error(`Rejecting webhook ${req.originalUrl}: ${envVar} is not set`);
+      return res.status(401).json({ error: 'Webhook secret is not configured' });
+    }
+
+    const receivedSecret = req.get(headerName);
+    if (!receivedSecret || !safeEqual(secret, receivedSecret)) {
+      console.warn(`Rejecting webhook ${req.originalUrl} from ${req.ip}: missing or invalid ${headerName}`);
+      return res.status(401).json({ error: 'Invalid webhook secret' });
+    }
+
+    next();
+  };
+}
+
+// Build the CORS origin option from the CORS_ALLOWED_ORIGINS allowlist (comma separated)
+// Requests without an Origin header (same-origin, server-to-server) are always allowed
+function corsOriginFromAllowlist() {
+  const allowedOrigins = (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+  return (origin, callback) => {
+    if (!origin || allowedOrigins.includes(origin)) {
+      return callback(null, true);
+    }
+    console.warn(`Blocked CORS request from origin: ${origin}`);
+    return callback(null, false);
+  };
+}
+
+module.exports = {
+  LAUNCH_CODE_TTL_SECONDS,
+  issueUiToken,
+  verifyUiToken,
+  issueLaunchCode,
+  verifyLaunchCode,
+  requireApiAuth,
+  requireApiKey,
+  requireWebhookSecret,
+  corsOriginFromAllowlist
+};
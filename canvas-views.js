@@ -0,0 +1,1323 @@
+// Builders for the Canvas Kit components shared by /api/initialize and /api/submit
+const { buildCustomFieldComponents } = require('./ticket-fields');
+const { getDefaultTicketTags, getPresetTicketTags } = require('./ticket-tags');
+const { FRESHDESK_STATUS_LABELS, FRESHDESK_PRIORITY_LABELS, isTicketOverdue } = require('./ticket-status');
+
+// Helper function to format a Freshdesk timestamp as DD/MM/YYYY, hh:mm AM/PM in IST
+function formatTicketDate(isoDate) {
+  const formattedDate = new Date(isoDate).toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true
+  });
+
+  // Format the time to have uppercase AM/PM
+  const [datePart, timePart = ''] = formattedDate.split(', ');
+  const [time, period = ''] = timePart.split(' ');
+  return `${datePart}, ${time} ${period.toUpperCase()}`.trim();
+}
+
+// Helper function to truncate a ticket subject for display
+function truncateSubject(subject, maxLength = 40) {
+  const text = subject || '';
+  return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+}
+
+// Build the Recent Tickets section
+// Each ticket shows its status, priority, assignee (ticket.assignee_name) and due-by time, overdue
+// tickets are highlighted. filter is 'all' or 'open', hasMore adds a "Show more" button
+function buildRecentTicketComponents(recentTickets, { hasMore = false, filter = 'all' } = {}) {
+  const FRESHDESK_DOMAIN = process.env.FRESHDESK_DOMAIN;
+  const showOpenOnly = filter === 'open';
+  const components = [
+    {
+      type: 'text',
+      id: 'recent_tickets_header',
+      text: showOpenOnly ? 'Open Tickets' : 'Recent Tickets',
+      style: 'header',
+      align: 'left',
+      color: 'white'
+    },
+    {
+      type: 'spacer',
+      size: 'xs'
+    }
+  ];
+
+  if (!recentTickets || recentTickets.length === 0) {
+    components.push({
+      type: 'text',
+      id: 'no_tickets',
+      text: showOpenOnly ? 'No open tickets' : 'No recent tickets',
+      style: 'muted'
+    });
+  }
+
+  (recentTickets || []).forEach(ticket => {
+    // Create a text component with ticket ID and truncated subject
+    components.push({
+      type: 'text',
+      id: `ticket_${ticket.id}`,
+      text: `[#${ticket.id} - ${truncateSubject(ticket.subject)}](${FRESHDESK_DOMAIN}/a/tickets/${ticket.id})`,
+      style: 'muted'
+    });
+
+    // Add status, priority and assignee
+    const details = [
+      FRESHDESK_STATUS_LABELS[ticket.status] || `Status ${ticket.status}`,
+      FRESHDESK_PRIORITY_LABELS[ticket.priority] || `Priority ${ticket.priority}`,
+      ticket.assignee_name || 'Unassigned'
+    ];
+    components.push({
+      type: 'text',
+      id: `ticket_details_${ticket.id}`,
+      text: details.join(' · '),
+      style: 'muted',
+      size: 'small'
+    });
+
+    // Add the due-by time, highlighted once the ticket is overdue
+    if (ticket.due_by) {
+      const overdue = isTicketOverdue(ticket);
+      components.push({
+        type: 'text',
+        id: `ticket_due_${ticket.id}`,
+        text: `${overdue ? 'Overdue - was due' : 'Due'} ${formatTicketDate(ticket.due_by)}`,
+        style: overdue ? 'error' : 'muted',
+        size: 'small'
+      });
+    }
+
+    // Add date on a new line
+    components.push({
+      type: 'text',
+      id: `ticket_date_${ticket.id}`,
+      text: `Created ${formatTicketDate(ticket.created_at)}`,
+      style: 'muted',
+      size: 'small'
+    });
+
+    // Open the ticket detail view inside the Canvas
+    components.push({
+      type: 'button',
+      id: `view_ticket_${ticket.id}`,
+      label: 'View details',
+      style: 'link',
+      action: {
+        type: 'submit'
+      }
+    });
+
+    // Add a small spacer after each ticket for better separation
+    components.push({
+      type: 'spacer',
+      size: 'xs'
+    });
+  });
+
+  if (hasMore) {
+    components.push({
+      type: 'button',
+      id: 'recent_show_more',
+      label: 'Show more',
+      style: 'secondary',
+      action: {
+        type: 'submit'
+      }
+    });
+  }
+
+  components.push({
+    type: 'button',
+    id: showOpenOnly ? 'recent_filter_all' : 'recent_filter_open',
+    label: showOpenOnly ? 'Show all tickets' : 'Show open tickets only',
+    style: 'link',
+    action: {
+      type: 'submit'
+    }
+  });
+
+  return components;
+}
+
+// Build the home view: the ticket actions followed by the Recent Tickets section
+// An optional notice is shown above the actions (e.g. "Linking to ticket #123...")
+// failedEscalation shows a banner with the error and retry buttons of this conversation's failed ticket creation
+// uiLaunchUrl adds an "Open full form" link to the React UI
+function buildHomeComponents(recentTickets, { notice, hasMore, filter, failedEscalation, uiLaunchUrl } = {}) {
+  const noticeComponents = notice ? [{ type: 'text', id: 'home_notice', text: notice, style: 'muted' }] : [];
+  const launchComponents = uiLaunchUrl
+    ? [{ type: 'button', id: 'open_full_form', label: 'Open full form', style: 'secondary', action: { type: 'url', url: uiLaunchUrl } }]
+    : [];
+  const failureComponents = failedEscalation
+    ? [
+      { type: 'text', id: 'failure_header', text: 'Ticket creation failed', style: 'header' },
+      ...buildFailedEscalationComponents(failedEscalation),
+      { type: 'divider' }
+    ]
+    : [];
+
+  return [
+    ...failureComponents,
+    ...noticeComponents,
+    {
+      type: 'spacer',
+      size: 'm'
+    },
+    {
+      type: 'button',
+      id: 'create_ticket',
+      label: 'Create a Freshdesk Ticket',
+      style: 'primary',
+      action: {
+        type: 'submit'
+      }
+    },
+    {
+      type: 'button',
+      id: 'link_ticket',
+      label: 'Link to existing ticket',
+      style: 'secondary',
+      action: {
+        type: 'submit'
+      }
+    },
+    ...launchComponents,
+    {
+      type: 'spacer',
+      size: 'l'
+    },
+    ...buildRecentTicketComponents(recentTickets, { hasMore, filter })
+  ];
+}
+
+// Helper function to shorten a reply or note for the detail view
+function truncateText(text, maxLength = 300) {
+  const value = (text || '').replace(/\s+/g, ' ').trim();
+  return value.length > maxLength ? value.substring(0, maxLength) + '...' : value;
+}
+
+// Helper function to list attachments as links
+function buildAttachmentComponents(attachments, idPrefix) {
+  return (attachments || []).map(attachment => ({
+    type: 'text',
+    id: `${idPrefix}_attachment_${attachment.id}`,
+    text: `📎 [${attachment.name}](${attachment.attachment_url})`,
+    style: 'muted',
+    size: 'small'
+  }));
+}
+
+// Build the detail view of a single ticket, with all its replies and notes in ticket.conversations (oldest first)
+// groupName and agentNames (agent ID -> name) are looked up by the caller
+// Only the last few replies and notes are shown, newest first
+// An optional notice is shown below the header (e.g. "Ticket updated")
+function buildTicketDetailComponents(ticket, { groupName, agentNames = {}, conversationCount = 5, notice } = {}) {
+  const FRESHDESK_DOMAIN = process.env.FRESHDESK_DOMAIN;
+  const overdue = isTicketOverdue(ticket);
+  const components = [
+    {
+      type: 'text',
+      id: 'ticket_detail_header',
+      text: `#${ticket.id} ${ticket.subject || ''}`,
+      style: 'header'
+    },
+    ...(notice ? [{ type: 'text', id: 'ticket_detail_notice', text: notice, style: 'muted' }] : []),
+    {
+      type: 'text',
+      id: 'ticket_detail_link',
+      text: `[Open in Freshdesk](${FRESHDESK_DOMAIN}/a/tickets/${ticket.id})`,
+      style: 'muted'
+    },
+    {
+      type: 'data-table',
+      id: 'ticket_detail_fields',
+      items: [
+        { type: 'field-value', field: 'Status', value: FRESHDESK_STATUS_LABELS[ticket.status] || `Status ${ticket.status}` },
+        { type: 'field-value', field: 'Priority', value: FRESHDESK_PRIORITY_LABELS[ticket.priority] || `Priority ${ticket.priority}` },
+        { type: 'field-value', field: 'Group', value: groupName || (ticket.group_id ? `Group ${ticket.group_id}` : 'No group') },
+        { type: 'field-value', field: 'Assignee', value: ticket.responder_id ? (agentNames[ticket.responder_id] || `Agent ${ticket.responder_id}`) : 'Unassigned' },
+        { type: 'field-value', field: 'Created', value: formatTicketDate(ticket.created_at) },
+        ...(ticket.due_by ? [{ type: 'field-value', field: overdue ? 'Overdue since' : 'Due by', value: formatTicketDate(ticket.due_by) }] : [])
+      ]
+    }
+  ];
+
+  // Attachments of the ticket itself
+  if (ticket.attachments && ticket.attachments.length > 0) {
+    components.push(
+      {
+        type: 'text',
+        text: 'Attachments',
+        style: 'paragraph'
+      },
+      ...buildAttachmentComponents(ticket.attachments, 'ticket')
+    );
+  }
+
+  components.push(
+    {
+      type: 'divider'
+    },
+    {
+      type: 'text',
+      id: 'ticket_conversations_header',
+      text: 'Latest replies and notes',
+      style: 'paragraph'
+    }
+  );
+
+  const conversations = (ticket.conversations || []).slice(-conversationCount).reverse();
+  if (conversations.length === 0) {
+    components.push({
+      type: 'text',
+      id: 'no_conversations',
+      text: 'No replies or notes yet',
+      style: 'muted'
+    });
+  }
+
+  conversations.forEach(conversation => {
+    const kind = conversation.private ? 'Private note' : 'Reply';
+    const author = conversation.incoming ? 'customer' : (agentNames[conversation.user_id] || 'agent');
+    components.push(
+      {
+        type: 'text',
+        id: `conversation_${conversation.id}_meta`,
+        text: `**${kind}** from ${author} · ${formatTicketDate(conversation.created_at)}`,
+        style: 'muted',
+        size: 'small'
+      },
+      {
+        type: 'text',
+        id: `conversation_${conversation.id}_body`,
+        text: truncateText(conversation.body_text)
+      },
+      ...buildAttachmentComponents(conversation.attachments, `conversation_${conversation.id}`),
+      {
+        type: 'spacer',
+        size: 'xs'
+      }
+    );
+  });
+
+  components.push(
+    {
+      type: 'button',
+      id: `edit_ticket_${ticket.id}`,
+      label: 'Update ticket',
+      style: 'primary',
+      action: {
+        type: 'submit'
+      }
+    },
+    {
+      type: 'button',
+      id: `compose_message_${ticket.id}`,
+      label: 'Add note or reply',
+      style: 'secondary',
+      action: {
+        type: 'submit'
+      }
+    },
+    {
+      type: 'button',
+      id: 'back_to_home',
+      label: 'Back',
+      style: 'secondary',
+      action: {
+        type: 'submit'
+      }
+    }
+  );
+
+  return components;
+}
+
+// Current status, priority, group and agent of a ticket as values of the update form
+function getTicketUpdateValues(ticket) {
+  return {
+    update_status: `status_${ticket.status}`,
+    update_priority: `priority_${ticket.priority}`,
+    update_group: ticket.group_id ? `group_${ticket.group_id}` : 'group_none',
+    update_responder: ticket.responder_id ? `agent_${ticket.responder_id}` : 'agent_none'
+  };
+}
+
+// Build the form to add a private note or a public reply to a ticket
+// attachments are the Intercom conversation's attachments ({ name }), offered as attachment_<index> options
+function buildTicketMessageComponents({ ticketId, attachments = [], values = {}, errors = {}, errorMessage }) {
+  const components = [
+    {
+      type: 'text',
+      text: `Add to ticket #${ticketId}`,
+      style: 'header'
+    }
+  ];
+
+  if (errorMessage) {
+    components.push({
+      type: 'text',
+      id: 'message_error',
+      text: errorMessage,
+      style: 'error'
+    });
+  }
+
+  components.push(
+    {
+      type: 'single-select',
+      id: 'message_kind',
+      label: 'Send as',
+      value: values.message_kind || 'kind_note',
+      options: [
+        { type: 'option', id: 'kind_note', text: 'Private note' },
+        { type: 'option', id: 'kind_reply', text: 'Public reply' }
+      ]
+    },
+    {
+      type: 'textarea',
+      id: 'message_body',
+      label: 'Message',
+      value: values.message_body || '',
+      error: errors.message_body
+    }
+  );
+
+  if (attachments.length > 0) {
+    components.push({
+      type: 'checkbox',
+      id: 'message_attachments',
+      label: 'Include attachments from this conversation',
+      value: Array.isArray(values.message_attachments) ? values.message_attachments : [],
+      error: errors.message_attachments,
+      options: attachments.map((attachment, index) => ({
+        type: 'option',
+        id: `attachment_${index}`,
+        text: attachment.name || `Attachment ${index + 1}`
+      }))
+    });
+  }
+
+  components.push(
+    {
+      type: 'button',
+      id: 'send_ticket_message',
+      label: 'Send',
+      style: 'primary',
+      action: {
+        type: 'submit'
+      }
+    },
+    {
+      type: 'button',
+      id: `view_ticket_${ticketId}`,
+      label: 'Cancel',
+      style: 'secondary',
+      action: {
+        type: 'submit'
+      }
+    }
+  );
+
+  return components;
+}
+
+// Map the submitted update form onto the fields that differ from the ticket
+// Returns { changes, errors } where changes holds status, priority, group_id and responder_id
+// (null group/agent means unassign) and errors maps the update_* component IDs to messages
+function mapTicketUpdateValues({ statusChoices = [], priorityChoices = [], groups = [], agents = [] }, ticket, inputValues = {}) {
+  const changes = {};
+  const errors = {};
+
+  const status = optionIdValue(inputValues.update_status, 'status_');
+  if (!statusChoices.some(choice => String(choice.id) === status)) {
+    errors.update_status = 'Choose a valid status';
+  } else if (parseInt(status, 10) !== ticket.status) {
+    changes.status = parseInt(status, 10);
+  }
+
+  const priority = optionIdValue(inputValues.update_priority, 'priority_');
+  if (!priorityChoices.some(choice => String(choice.value) === priority)) {
+    errors.update_priority = 'Choose a valid priority';
+  } else if (parseInt(priority, 10) !== ticket.priority) {
+    changes.priority = parseInt(priority, 10);
+  }
+
+  // The ticket form checks group membership the same way
+  const { assignment, errors: assignmentErrors } = mapAssignmentValues({ groups, agents }, {
+    group_id: inputValues.update_group,
+    responder_id: inputValues.update_responder
+  });
+  if (assignmentErrors.group_id) errors.update_group = assignmentErrors.group_id;
+  if (assignmentErrors.responder_id) errors.update_responder = assignmentErrors.responder_id;
+
+  const groupId = assignment.group_id ? parseInt(assignment.group_id, 10) : null;
+  if (!errors.update_group && groupId !== (ticket.group_id || null)) {
+    changes.group_id = groupId;
+  }
+  const responderId = assignment.responder_id ? parseInt(assignment.responder_id, 10) : null;
+  if (!errors.update_responder && responderId !== (ticket.responder_id || null)) {
+    changes.responder_id = responderId;
+  }
+
+  return { changes, errors };
+}
+
+// Freshdesk fields of a ticket update and the form components they belong to
+const UPDATE_FIELD_COMPONENTS = {
+  status: 'update_status',
+  priority: 'update_priority',
+  group_id: 'update_group',
+  responder_id: 'update_responder'
+};
+
+// Turn a Freshdesk validation error response ({ description, errors: [{ field, message }] })
+// into inline errors for the update form, plus a message for errors on other fields
+function mapFreshdeskUpdateErrors(errorData = {}) {
+  const errors = {};
+  const otherMessages = [];
+
+  (errorData.errors || []).forEach(error => {
+    const componentId = UPDATE_FIELD_COMPONENTS[error.field];
+    if (componentId) {
+      errors[componentId] = error.message;
+    } else {
+      otherMessages.push(error.field ? `${error.field}: ${error.message}` : error.message);
+    }
+  });
+
+  const errorMessage = otherMessages.length > 0
+    ? `Freshdesk rejected the update: ${otherMessages.join('; ')}`
+    : (Object.keys(errors).length === 0 ? `Freshdesk rejected the update${errorData.description ? `: ${errorData.description}` : ''}` : null);
+
+  return { errors, errorMessage };
+}
+
+// Build the form to update the status, priority, group and agent of a ticket
+// Picking a group submits the form (component_id update_group) so the agent list can be filtered
+// errors maps the update_* component IDs to inline error messages
+function buildTicketUpdateComponents({
+  ticket,
+  statusChoices = [],
+  priorityChoices = [],
+  groups = [],
+  agents = [],
+  values = {},
+  errors = {},
+  errorMessage
+}) {
+  const components = [
+    {
+      type: 'text',
+      text: `Update ticket #${ticket.id}`,
+      style: 'header'
+    },
+    {
+      type: 'text',
+      text: truncateSubject(ticket.subject, 80),
+      style: 'muted'
+    }
+  ];
+
+  if (errorMessage) {
+    components.push({
+      type: 'text',
+      id: 'update_error',
+      text: errorMessage,
+      style: 'error'
+    });
+  }
+
+  components.push(
+    {
+      type: 'dropdown',
+      id: 'update_status',
+      label: 'Status',
+      value: values.update_status,
+      error: errors.update_status,
+      options: statusChoices.map(status => ({
+        type: 'option',
+        id: `status_${status.id}`,
+        text: status.label
+      }))
+    },
+    {
+      type: 'dropdown',
+      id: 'update_priority',
+      label: 'Priority',
+      value: values.update_priority,
+      error: errors.update_priority,
+      options: priorityChoices.map(priority => ({
+        type: 'option',
+        id: `priority_${priority.value}`,
+        text: priority.label
+      }))
+    },
+    {
+      type: 'single-select',
+      id: 'update_group',
+      label: 'Group',
+      value: values.update_group || 'group_none',
+      error: errors.update_group,
+      options: [
+        { type: 'option', id: 'group_none', text: 'No group' },
+        ...groups.map(group => ({
+          type: 'option',
+          id: `group_${group.id}`,
+          text: group.name
+        }))
+      ],
+      action: {
+        type: 'submit'
+      }
+    }
+  );
+
+  const groupAgents = getAgentsForGroup({ groups, agents }, values.update_group);
+  // Drop a previously selected agent that is not part of the newly selected group
+  const responderValue = groupAgents.some(agent => `agent_${agent.id}` === values.update_responder) ? values.update_responder : 'agent_none';
+  components.push(
+    {
+      type: 'dropdown',
+      id: 'update_responder',
+      label: 'Agent',
+      value: responderValue,
+      error: errors.update_responder,
+      options: [
+        { type: 'option', id: 'agent_none', text: 'Unassigned' },
+        ...groupAgents.map(agent => ({
+          type: 'option',
+          id: `agent_${agent.id}`,
+          text: agentLabel(agent)
+        }))
+      ]
+    },
+    {
+      type: 'button',
+      id: 'save_ticket_update',
+      label: 'Save changes',
+      style: 'primary',
+      action: {
+        type: 'submit'
+      }
+    },
+    {
+      type: 'button',
+      id: `view_ticket_${ticket.id}`,
+      label: 'Cancel',
+      style: 'secondary',
+      action: {
+        type: 'submit'
+      }
+    }
+  );
+
+  return components;
+}
+
+// Build the "Link to existing ticket" form
+function buildLinkTicketComponents(recentTickets, { error, ticketIdValue } = {}) {
+  const components = [
+    {
+      type: 'text',
+      text: 'Link to an existing ticket',
+      style: 'header'
+    },
+    {
+      type: 'text',
+      text: 'The conversation transcript and attachments will be added to the ticket as a private note.',
+      style: 'muted'
+    }
+  ];
+
+  if (error) {
+    components.push({
+      type: 'text',
+      id: 'link_ticket_error',
+      text: error,
+      style: 'error'
+    });
+  }
+
+  if (recentTickets && recentTickets.length > 0) {
+    components.push({
+      type: 'single-select',
+      id: 'link_ticket_choice',
+      label: 'Recent tickets',
+      options: recentTickets.map(ticket => ({
+        type: 'option',
+        id: `ticket_${ticket.id}`,
+        text: `#${ticket.id} - ${truncateSubject(ticket.subject)}`
+      }))
+    });
+  }
+
+  components.push(
+    {
+      type: 'input',
+      id: 'link_ticket_id',
+      label: recentTickets && recentTickets.length > 0 ? 'Or enter a ticket ID' : 'Ticket ID',
+      placeholder: 'e.g. 12345',
+      value: ticketIdValue || ''
+    },
+    {
+      type: 'button',
+      id: 'confirm_link_ticket',
+      label: 'Link Ticket',
+      style: 'primary',
+      action: {
+        type: 'submit'
+      }
+    },
+    {
+      type: 'button',
+      id: 'cancel',
+      label: 'Cancel',
+      style: 'secondary',
+      action: {
+        type: 'submit'
+      }
+    }
+  );
+
+  return components;
+}
+
+// Helper function to build the error and the retry buttons of a failed ticket creation
+// "Edit and retry" is only offered when the failed submission's form values were kept
+function buildFailedEscalationComponents(escalation) {
+  const components = [
+    {
+      type: 'text',
+      id: 'progress_error',
+      text: escalation.error || 'The ticket could not be created.',
+      style: 'error'
+    },
+    {
+      type: 'button',
+      id: 'retry_escalation',
+      label: 'Retry',
+      style: 'primary',
+      action: {
+        type: 'submit'
+      }
+    }
+  ];
+
+  if (escalation.failedSubmission?.payload?.form_values) {
+    components.push({
+      type: 'button',
+      id: 'edit_retry_escalation',
+      label: 'Edit and retry',
+      style: 'secondary',
+      action: {
+        type: 'submit'
+      }
+    });
+  }
+
+  return components;
+}
+
+// Build the progress view of a background ticket creation from its escalation record
+// in_progress shows "Creating ticket…" with a refresh button, created shows the ticket link,
+// failed shows the error with a retry button
+function buildEscalationProgressComponents(escalation) {
+  const FRESHDESK_DOMAIN = process.env.FRESHDESK_DOMAIN;
+  const components = [];
+
+  if (escalation.status === 'created' && escalation.ticketId) {
+    components.push(
+      {
+        type: 'text',
+        id: 'progress_header',
+        text: 'Ticket created',
+        style: 'header'
+      },
+      {
+        type: 'text',
+        id: 'progress_ticket',
+        text: `[Ticket #${escalation.ticketId}](${FRESHDESK_DOMAIN}/a/tickets/${escalation.ticketId}) was created in Freshdesk.`
+      },
+      {
+        type: 'button',
+        id: `view_ticket_${escalation.ticketId}`,
+        label: 'View details',
+        style: 'secondary',
+        action: {
+          type: 'submit'
+        }
+      }
+    );
+  } else if (escalation.status === 'failed') {
+    components.push(
+      {
+        type: 'text',
+        id: 'progress_header',
+        text: 'Ticket creation failed',
+        style: 'header'
+      },
+      ...buildFailedEscalationComponents(escalation)
+    );
+  } else {
+    components.push(
+      {
+        type: 'text',
+        id: 'progress_header',
+        text: 'Creating ticket…',
+        style: 'header'
+      },
+      {
+        type: 'text',
+        id: 'progress_info',
+        text: 'The ticket is being created in Freshdesk with the conversation transcript. This can take a little while.',
+        style: 'muted'
+      },
+      {
+        type: 'button',
+        id: 'refresh_escalation',
+        label: 'Refresh',
+        style: 'primary',
+        action: {
+          type: 'submit'
+        }
+      }
+    );
+  }
+
+  components.push({
+    type: 'button',
+    id: 'back_to_home',
+    label: 'Back',
+    style: 'secondary',
+    action: {
+      type: 'submit'
+    }
+  });
+
+  return components;
+}
+
+// Build the warning shown when a new ticket would duplicate an existing one
+// escalation is this conversation's existing escalation (if any), similarTickets are open
+// tickets of the same requester with a similar subject, each offered with a link_duplicate_<id> button
+// A conversation that already has a ticket can't be linked to another one, so the buttons are left out then,
+// and "Create anyway" is left out while its ticket is still being created
+function buildDuplicateWarningComponents({ escalation, similarTickets = [] }) {
+  const FRESHDESK_DOMAIN = process.env.FRESHDESK_DOMAIN;
+  const components = [
+    {
+      type: 'text',
+      text: 'Possible duplicate ticket',
+      style: 'header'
+    }
+  ];
+
+  if (escalation) {
+    components.push({
+      type: 'text',
+      id: 'duplicate_escalation',
+      text: escalation.ticketId
+        ? `This conversation is already linked to [ticket #${escalation.ticketId}](${FRESHDESK_DOMAIN}/a/tickets/${escalation.ticketId}).`
+        : 'A ticket is already being created for this conversation.',
+      style: 'error'
+    });
+  }
+
+  if (similarTickets.length > 0) {
+    components.push({
+      type: 'text',
+      id: 'duplicate_similar',
+      text: 'The requester has open tickets with a similar subject:',
+      style: 'muted'
+    });
+    similarTickets.forEach(ticket => {
+      components.push({
+        type: 'text',
+        id: `duplicate_ticket_${ticket.id}`,
+        text: `[#${ticket.id} - ${truncateSubject(ticket.subject)}](${FRESHDESK_DOMAIN}/a/tickets/${ticket.id})`,
+        style: 'muted'
+      });
+      if (!escalation) {
+        components.push({
+          type: 'button',
+          id: `link_duplicate_${ticket.id}`,
+          label: `Link to #${ticket.id} instead`,
+          style: 'secondary',
+          action: {
+            type: 'submit'
+          }
+        });
+      }
+    });
+  }
+
+  components.push({
+    type: 'spacer',
+    size: 's'
+  });
+  if (!escalation || escalation.ticketId) {
+    components.push({
+      type: 'button',
+      id: 'create_anyway',
+      label: 'Create anyway',
+      style: 'primary',
+      action: {
+        type: 'submit'
+      }
+    });
+  }
+  components.push({
+    type: 'button',
+    id: 'cancel',
+    label: 'Cancel',
+    style: 'link',
+    action: {
+      type: 'submit'
+    }
+  });
+
+  return components;
+}
+
+// Build the escalation template picker shown before the ticket form
+// Each template is a button with the ID use_template_<template id>, blank_ticket skips the template
+function buildTemplatePickerComponents(templates) {
+  return [
+    {
+      type: 'text',
+      text: 'What kind of issue is this?',
+      style: 'header'
+    },
+    ...templates.map(template => ({
+      type: 'button',
+      id: `use_template_${template.id}`,
+      label: template.name,
+      style: 'secondary',
+      action: {
+        type: 'submit'
+      }
+    })),
+    {
+      type: 'button',
+      id: 'blank_ticket',
+      label: 'Blank ticket',
+      style: 'link',
+      action: {
+        type: 'submit'
+      }
+    },
+    {
+      type: 'button',
+      id: 'cancel',
+      label: 'Cancel',
+      style: 'link',
+      action: {
+        type: 'submit'
+      }
+    }
+  ];
+}
+
+// Work out the default dropdown values of the ticket form
+// (default reply mailbox, "Open" status and "Medium" priority, or the first available choice)
+function getTicketFormDefaults({ mailboxes = [], statusChoices = [], priorityChoices = [] }) {
+  const activeMailboxes = mailboxes.filter(mailbox => mailbox.active === true);
+  const defaultMailbox = activeMailboxes.find(mailbox => mailbox.default_reply_email === true) || activeMailboxes[0];
+  const defaultStatus = statusChoices.find(s => s.label.toLowerCase() === 'open') || statusChoices[0];
+  const defaultPriority = priorityChoices.find(p => p.label.toLowerCase() === 'medium') || priorityChoices[0];
+
+  return {
+    product_id: defaultMailbox ? `product_${defaultMailbox.product_id}` : '',
+    status: defaultStatus ? `status_${defaultStatus.id}` : '',
+    priority: defaultPriority ? `priority_${defaultPriority.value}` : ''
+  };
+}
+
+// Helper function to read the ID behind a group_<id> / agent_<id> option, or '' for none
+function optionIdValue(optionId, prefix) {
+  const value = (optionId || '').replace(prefix, '');
+  return /^\d+$/.test(value) ? value : '';
+}
+
+// Helper function to get a readable agent name
+function agentLabel(agent) {
+  return agent.contact?.name || agent.contact?.email || `Agent ${agent.id}`;
+}
+
+// Agents that can be picked for the selected group option (every agent if no group is selected)
+function getAgentsForGroup({ groups = [], agents = [] }, groupOptionId) {
+  const groupId = optionIdValue(groupOptionId, 'group_');
+  if (!groupId) {
+    return agents;
+  }
+  const group = groups.find(candidate => String(candidate.id) === groupId);
+  const agentIds = (group?.agent_ids || []).map(String);
+  return agents.filter(agent => agentIds.includes(String(agent.id)));
+}
+
+// Map the submitted group, agent and ticket type options into group_id, responder_id and type
+// Returns { assignment, errors } where errors maps component IDs to messages
+function mapAssignmentValues({ groups = [], agents = [], ticketTypes = [] }, inputValues = {}) {
+  const assignment = {};
+  const errors = {};
+
+  const groupId = optionIdValue(inputValues.group_id, 'group_');
+  if (groupId) {
+    if (groups.some(group => String(group.id) === groupId)) {
+      assignment.group_id = groupId;
+    } else {
+      errors.group_id = 'Choose a valid group';
+    }
+  }
+
+  const responderId = optionIdValue(inputValues.responder_id, 'agent_');
+  if (responderId) {
+    const groupAgents = getAgentsForGroup({ groups, agents }, inputValues.group_id);
+    if (groupAgents.some(agent => String(agent.id) === responderId)) {
+      assignment.responder_id = responderId;
+    } else {
+      errors.responder_id = 'This agent is not a member of the selected group';
+    }
+  }
+
+  if (inputValues.type && inputValues.type !== 'type_none') {
+    const ticketType = ticketTypes[parseInt(inputValues.type.replace('type_', ''), 10)];
+    if (ticketType) {
+      assignment.type = ticketType;
+    } else {
+      errors.type = 'Choose a valid ticket type';
+    }
+  }
+
+  return { assignment, errors };
+}
+
+// Build the group, agent and ticket type components of the ticket form
+// Picking a group submits the form (component_id group_id) so the agent list can be filtered
+function buildAssignmentComponents({ groups = [], agents = [], ticketTypes = [] }, values = {}, errors = {}) {
+  const components = [];
+
+  if (groups.length > 0) {
+    components.push({
+      type: 'single-select',
+      id: 'group_id',
+      label: 'Group',
+      value: values.group_id || 'group_none',
+      error: errors.group_id,
+      options: [
+        { type: 'option', id: 'group_none', text: 'No group' },
+        ...groups.map(group => ({
+          type: 'option',
+          id: `group_${group.id}`,
+          text: group.name
+        }))
+      ],
+      action: {
+        type: 'submit'
+      }
+    });
+  }
+
+  if (agents.length > 0) {
+    const groupAgents = getAgentsForGroup({ groups, agents }, values.group_id);
+    // Drop a previously selected agent that is not part of the newly selected group
+    const responderValue = groupAgents.some(agent => `agent_${agent.id}` === values.responder_id) ? values.responder_id : 'agent_none';
+    components.push({
+      type: 'dropdown',
+      id: 'responder_id',
+      label: 'Agent',
+      value: responderValue,
+      error: errors.responder_id,
+      options: [
+        { type: 'option', id: 'agent_none', text: 'Unassigned' },
+        ...groupAgents.map(agent => ({
+          type: 'option',
+          id: `agent_${agent.id}`,
+          text: agentLabel(agent)
+        }))
+      ]
+    });
+  }
+
+  if (ticketTypes.length > 0) {
+    components.push({
+      type: 'dropdown',
+      id: 'type',
+      label: 'Type',
+      value: values.type || 'type_none',
+      error: errors.type,
+      options: [
+        { type: 'option', id: 'type_none', text: 'No type' },
+        ...ticketTypes.map((ticketType, index) => ({
+          type: 'option',
+          id: `type_${index}`,
+          text: ticketType
+        }))
+      ]
+    });
+  }
+
+  return components;
+}
+
+// Build the tag, CC and watcher components of the ticket form
+// Tags added to every ticket are listed for information, presets can be ticked
+function buildTagAndCcComponents(values = {}, errors = {}) {
+  const components = [];
+
+  const defaultTags = getDefaultTicketTags();
+  if (defaultTags.length > 0) {
+    components.push({
+      type: 'text',
+      id: 'default_tags',
+      text: `Tags added to every ticket: ${defaultTags.join(', ')}`,
+      style: 'muted'
+    });
+  }
+
+  const presetTags = getPresetTicketTags();
+  if (presetTags.length > 0) {
+    components.push({
+      type: 'checkbox',
+      id: 'preset_tags',
+      label: 'Tags',
+      value: Array.isArray(values.preset_tags) ? values.preset_tags : [],
+      options: presetTags.map((tag, index) => ({
+        type: 'option',
+        id: `tag_${index}`,
+        text: tag
+      }))
+    });
+  }
+
+  components.push(
+    {
+      type: 'input',
+      id: 'tags',
+      label: presetTags.length > 0 ? 'Other tags' : 'Tags',
+      placeholder: 'Comma separated, e.g. vip, billing',
+      value: values.tags || ''
+    },
+    {
+      type: 'input',
+      id: 'cc_emails',
+      label: 'CC emails',
+      placeholder: 'Comma separated email addresses',
+      value: values.cc_emails || '',
+      error: errors.cc_emails
+    },
+    {
+      type: 'input',
+      id: 'watchers',
+      label: 'Watchers',
+      placeholder: 'Comma separated agent email addresses',
+      value: values.watchers || '',
+      error: errors.watchers
+    }
+  );
+
+  return components;
+}
+
+// Build the "Create a new Freshdesk ticket" form
+// values holds the component values to show, errors maps component IDs to inline error messages
+function buildTicketFormComponents({
+  mailboxes = [],
+  statusChoices = [],
+  priorityChoices = [],
+  groups = [],
+  agents = [],
+  ticketTypes = [],
+  ticketFields = [],
+  template,
+  values = {},
+  errors = {},
+  errorMessage
+}) {
+  const defaults = getTicketFormDefaults({ mailboxes, statusChoices, priorityChoices });
+  const formComponents = [
+    {
+      type: 'text',
+      text: 'Create a new Freshdesk ticket',
+      style: 'header'
+    }
+  ];
+
+  if (template) {
+    formComponents.push({
+      type: 'text',
+      id: 'template_name',
+      text: `Template: ${template.name}`,
+      style: 'muted'
+    });
+  }
+
+  if (errorMessage) {
+    formComponents.push({
+      type: 'text',
+      id: 'form_error',
+      text: errorMessage,
+      style: 'error'
+    });
+  }
+
+  formComponents.push(
+    {
+      type: 'input',
+      id: 'email',
+      label: 'Email',
+      value: values.email || '',
+      placeholder: 'Enter email address',
+      error: errors.email,
+      validation_rules: {
+        required: { error: 'Email is required' },
+        format: { type: 'email_address', error: 'Please enter a valid email address' }
+      }
+    },
+    {
+      type: 'input',
+      id: 'subject',
+      label: 'Subject',
+      value: values.subject || '',
+      error: errors.subject,
+      validation_rules: {
+        required: { error: 'Subject is required' }
+      }
+    },
+    {
+      type: 'textarea',
+      id: 'description',
+      label: 'Description',
+      value: values.description || '',
+      error: errors.description
+    }
+  );
+
+  // Add mailboxes dropdown if available (inactive mailboxes are left out)
+  const activeMailboxes = mailboxes.filter(mailbox => mailbox.active === true);
+  if (activeMailboxes.length > 0) {
+    formComponents.push({
+      type: 'dropdown',
+      id: 'product_id',
+      label: 'Configure Email',
+      value: values.product_id || defaults.product_id,
+      error: errors.product_id,
+      options: activeMailboxes.map(mailbox => ({
+        type: 'option',
+        id: `product_${mailbox.product_id}`,
+        text: `${mailbox.name} (${mailbox.support_email})`,
+        value: mailbox.product_id.toString()
+      }))
+    });
+  }
+
+  // Add status dropdown if available
+  if (statusChoices.length > 0) {
+    formComponents.push({
+      type: 'dropdown',
+      id: 'status',
+      label: 'Status',
+      value: values.status || defaults.status,
+      options: statusChoices.map(status => ({
+        type: 'option',
+        id: `status_${status.id}`,
+        text: status.label,
+        value: status.id.toString()
+      }))
+    });
+  }
+
+  // Add priority dropdown if available
+  if (priorityChoices.length > 0) {
+    formComponents.push({
+      type: 'dropdown',
+      id: 'priority',
+      label: 'Priority',
+      value: values.priority || defaults.priority,
+      options: priorityChoices.map(priority => ({
+        type: 'option',
+        id: `priority_${priority.value}`,
+        text: priority.label,
+        value: priority.value.toString()
+      }))
+    });
+  }
+
+  // Add group, agent and ticket type selection
+  formComponents.push(...buildAssignmentComponents({ groups, agents, ticketTypes }, values, errors));
+
+  // Add tags, CC emails and watchers
+  formComponents.push(...buildTagAndCcComponents(values, errors));
+
+  // Add the custom ticket fields configured in Freshdesk
+  formComponents.push(...buildCustomFieldComponents(ticketFields, values, errors));
+
+  // Add action buttons
+  formComponents.push(
+    {
+      type: 'button',
+      id: 'submit_ticket_button',
+      label: 'Create Ticket',
+      style: 'primary',
+      disabled: false, // Ensure it's enabled by default
+      action: {
+        type: 'submit'
+      }
+    },
+    {
+      type: 'button',
+      id: 'cancel',
+      label: 'Cancel',
+      style: 'secondary',
+      disabled: false, // Ensure it's enabled by default
+      action: {
+        type: 'submit'
+      }
+    }
+  );
+
+  return formComponents;
+}
+
+// Wrap components in the response structure Intercom expects
+// storedData is sent back by Intercom as current_canvas.stored_data on the next submit
+function canvasResponse(components, storedData) {
+  const response = {
+    canvas: {
+      content: {
+        components: components
+      }
+    }
+  };
+  if (storedData) {
+    response.canvas.stored_data = storedData;
+  }
+  return response;
+}
+
+module.exports = {
+  formatTicketDate,
+  truncateSubject,
+  buildRecentTicketComponents,
+  buildHomeComponents,
+  buildLinkTicketComponents,
+  buildTicketDetailComponents,
+  getTicketUpdateValues,
+  mapTicketUpdateValues,
+  mapFreshdeskUpdateErrors,
+  buildTicketUpdateComponents,
+  buildTicketMessageComponents,
+  buildEscalationProgressComponents,
+  buildDuplicateWarningComponents,
+  buildTemplatePickerComponents,
+  getTicketFormDefaults,
+  mapAssignmentValues,
+  buildTicketFormComponents,
+  canvasResponse
+};
@@ -1,5 +1,12 @@
 const axios = require('axios');
 const he = require('he'); // For HTML entity encoding/decoding
+const {
+  extractInlineImages,
+  formatConversationAsText,
+  formatConversationAsMarkdown,
+  summarizeConversation,
+  buildConversationExport
+} = require('./transcript-formats');
 
 // Helper function to fetch Intercom conversation details
 async function fetchIntercomConversation(conversationId) {
@@ -73,85 +80,6 @@ async function downloadFile(url, filename) {
   }
 }
 
-// Helper function to extract inline images from HTML content and assign sequential names
-function extractInlineImages(htmlContent, startIndex) {
-  const extractedImages = []; // Stores { url: string, filename: string (sequential) }
-  let currentIndex = startIndex;
-  let modifiedHtml = htmlContent;
-
-  if (!htmlContent || typeof htmlContent !== 'string') {
-    // console.warn('extractInlineImages: htmlContent is null or not a string.');
-    return {
-      modifiedHtml: htmlContent || '', // Return original or empty if null
-      extractedImages: [],
-      nextIndex: startIndex,
-    };
-  }
-
-  // Regex to find <img> tags and capture their src
-  const imgTagRegex = /<img\s+[^>]*src="([^"]+)"[^>]*>/gi;
-  
-  const matches = [];
-  let match;
-  while ((match = imgTagRegex.exec(htmlContent)) !== null) {
-    matches.push({
-      fullTag: match[0], // The entire <img> tag
-      url: match[1]      // The URL from src="..."
-    });
-  }
-
-  for (const imgMatch of matches) {
-    let originalUrl = imgMatch.url;
-    originalUrl = he.decode(originalUrl); // Decode HTML entities like &amp;
-
-    let originalFilename = 'image.png'; // Default filename
-    let extension = 'png'; // Default extension
-
-    try {
-      const parsedUrl = new URL(originalUrl);
-      const pathname = parsedUrl.pathname;
-      const filenameFromPath = pathname.substring(pathname.lastIndexOf('/') + 1);
-      
-      if (filenameFromPath) {
-        originalFilename = decodeURIComponent(filenameFromPath);
-        const dotIndex = originalFilename.lastIndexOf('.');
-        if (dotIndex !== -1 && dotIndex < originalFilename.length - 1) {
-          extension = originalFilename.substring(dotIndex + 1).toLowerCase();
-        }
-      }
-    } catch (e) {
-      // console.warn(`Could not parse URL to get original filename: ${originalUrl}. Error: ${e.message}`);
-      const filenameMatch = originalUrl.match(/[^/\\&?#]+\.(jpg|jpeg|gif|png|bmp|webp|svg)(?=[?#]|$)/i);
-      if (filenameMatch && filenameMatch[0]) {
-        originalFilename = filenameMatch[0];
-        const dotIndex = originalFilename.lastIndexOf('.');
-        if (dotIndex !== -1 && dotIndex < originalFilename.length - 1) {
-          extension = originalFilename.substring(dotIndex + 1).toLowerCase();
-        }
-      } else {
-        // console.warn(`Fallback filename extraction also failed for URL: ${originalUrl}. Using default 'image.png'.`);
-      }
-    }
-
-    const sequentialFilename = `image ${currentIndex}.${extension}`;
-    const placeholderText = `[Inline image: ${sequentialFilename}]`;
-
-    modifiedHtml = modifiedHtml.replace(imgMatch.fullTag, placeholderText);
-    
-    extractedImages.push({
-      url: originalUrl,
-      filename: sequentialFilename,
-    });
-    currentIndex++;
-  }
-
-  return {
-    modifiedHtml: modifiedHtml,
-    extractedImages: extractedImages,
-    nextIndex: currentIndex,
-  };
-}
-
 // Helper function to format conversation parts as HTML chat transcript
 async function formatConversationAsHtml(conversation, intercomWorkspaceId) {
   // Helper function to escape special characters for regex
@@ -411,8 +339,79 @@ async function formatConversationAsHtml(conversation, intercomWorkspaceId) {
   return { html, attachments: allAttachments };
 }
 
+// Helper function to download transcript attachments into { name, content_type, buffer } entries
+async function downloadAttachments(attachments) {
+  const downloaded = [];
+  
+  for (const attachment of attachments) {
+    try {
+      const fileBuffer = await downloadFile(attachment.url, attachment.name);
+      if (fileBuffer) {
+        downloaded.push({
+          name: attachment.name,
+          content_type: attachment.content_type || 'application/octet-stream',
+          buffer: fileBuffer
+        });
+        console.log(`Successfully processed attachment: ${attachment.name}`);
+      }
+    } catch (err) {
+      console.error(`Failed to process attachment ${attachment.name}:`, err.message);
+    }
+  }
+  
+  return downloaded;
+}
+
+// Helper function to render the transcript for a ticket description in the given format
+// Plain text and Markdown are kept as they are inside a <pre> block, Freshdesk descriptions are HTML
+async function formatTranscriptForDescription(conversation, format) {
+  if (format === 'text' || format === 'markdown') {
+    const { text, markdown, attachments } = format === 'text'
+      ? formatConversationAsText(conversation)
+      : formatConversationAsMarkdown(conversation);
+    return {
+      html: `<pre style="white-space: pre-wrap; font-family: inherit;">${he.encode(text || markdown)}</pre>`,
+      attachments
+    };
+  }
+  return formatConversationAsHtml(conversation);
+}
+
+// Helper function to build the transcript as standalone files plus a short summary for the description
+// The .html file is the chat-bubble transcript with its own <head>, so it opens on its own in a browser
+async function buildTranscriptAttachments(conversation, conversationId, exportFormat) {
+  const { html, attachments } = await formatConversationAsHtml(conversation);
+  const documentHtml = '<!DOCTYPE html>\n' + html.replace(
+    '<html><body>',
+    `<html><head><meta charset="utf-8"><title>Intercom conversation ${he.encode(String(conversationId))}</title></head><body style="font-family: sans-serif;">`
+  );
+  const transcriptFiles = [
+    {
+      name: `intercom-conversation-${conversationId}.html`,
+      content_type: 'text/html',
+      buffer: Buffer.from(documentHtml, 'utf8')
+    },
+    buildConversationExport({ ...conversation, id: conversation.id || conversationId }, exportFormat)
+  ];
+  
+  const summary = summarizeConversation(conversation);
+  const range = summary.firstMessageAt ? `, ${summary.firstMessageAt} to ${summary.lastMessageAt} (IST)` : '';
+  const notes = summary.noteCount > 0 ? ` including ${summary.noteCount} private note${summary.noteCount === 1 ? '' : 's'}` : '';
+  const summaryHtml = `
+      <div>Conversation summary: ${summary.messageCount} message${summary.messageCount === 1 ? '' : 's'}${notes}${range}</div>
+      <div>Participants: ${he.encode(summary.participants.join(', ') || 'none')}</div>
+      <div>The full transcript is attached as ${transcriptFiles.map(file => he.encode(file.name)).join(' and ')}.</div>
+    `;
+  
+  return { summaryHtml, transcriptFiles, attachments };
+}
+
 // Function to add conversation transcript to ticket description
-async function addConversationTranscriptToTicket(ticketData, conversationId) {
+// An already fetched conversation can be passed in to avoid fetching it again
+// format is 'html' (default), 'text' or 'markdown' (see transcript-formats.js)
+// attachment ({ exportFormat: 'json' | 'txt' }) attaches the transcript as files and keeps only a summary in the description
+// redactor (see pii-redaction.js) redacts personal data from the messages before they are formatted
+async function addConversationTranscriptToTicket(ticketData, conversationId, prefetchedConversation = null, { format = 'html', attachment = null, redactor = null } = {}) {
   if (!conversationId) {
     console.log('No conversation ID provided, skipping transcript');
     return ticketData;
@@ -420,15 +419,24 @@ async function addConversationTranscriptToTicket(ticketData, conversationId) {
   
   try {
     // Fetch conversation details
-    const conversation = await fetchIntercomConversation(conversationId);
-    if (!conversation) {
+    const fetchedConversation = prefetchedConversation || await fetchIntercomConversation(conversationId);
+    if (!fetchedConversation) {
       console.log('Could not fetch conversation, using original ticket data');
       return ticketData;
     }
+    const conversation = redactor ? redactor.redactConversation(fetchedConversation) : fetchedConversation;
     
-    // Format the conversation as HTML and get attachments
-    const { html: transcriptHtml, attachments } = await formatConversationAsHtml(conversation);
-    console.log('Successfully generated conversation transcript');
+    // Format the conversation (or its summary, when the transcript is attached as files) and get attachments
+    let transcriptHtml;
+    let attachments;
+    let transcriptFiles = [];
+    if (attachment) {
+      ({ summaryHtml: transcriptHtml, transcriptFiles, attachments } = await buildTranscriptAttachments(conversation, conversationId, attachment.exportFormat));
+      console.log(`Successfully generated transcript attachments: ${transcriptFiles.map(file => file.name).join(', ')}`);
+    } else {
+      ({ html: transcriptHtml, attachments } = await formatTranscriptForDescription(conversation, format));
+      console.log(`Successfully generated conversation transcript (${format})`);
+    }
     console.log(`Found ${attachments.length} attachments to process`);
     
     // Create the Intercom conversation URL in the standard format
@@ -444,21 +452,12 @@ async function addConversationTranscriptToTicket(ticketData, conversationId) {
         updatedTicketData._attachments = [];
       }
       
-      for (const attachment of attachments) {
-        try {
-          const fileBuffer = await downloadFile(attachment.url, attachment.name);
-          if (fileBuffer) {
-            updatedTicketData._attachments.push({
-              name: attachment.name,
-              content_type: attachment.content_type || 'application/octet-stream',
-              buffer: fileBuffer
-            });
-            console.log(`Successfully processed attachment: ${attachment.name}`);
-          }
-        } catch (err) {
-          console.error(`Failed to process attachment ${attachment.name}:`, err.message);
-        }
-      }
+      updatedTicketData._attachments.push(...await downloadAttachments(attachments));
+    }
+    
+    // Transcript files go first, so they are easy to find on the ticket
+    if (transcriptFiles.length > 0) {
+      updatedTicketData._attachments = [...transcriptFiles, ...(updatedTicketData._attachments || [])];
     }
     
     // Log current description for debugging
@@ -508,6 +507,10 @@ async function createFreshdeskTicket(ticketData) {
       delete ticketData._intercom_conversation_id;
     }
     
+    // Watchers can't be set on creation, they are added once the ticket exists
+    const watcherIds = ticketData._watcher_ids || [];
+    delete ticketData._watcher_ids;
+    
     // If conversation ID exists, add the URL to the description
     if (conversationId) {
       const intercomWorkspaceId = process.env.INTERCOM_WORKSPACE_ID;
@@ -538,7 +541,15 @@ async function createFreshdeskTicket(ticketData) {
       // Add ticket data fields to form
       for (const key in ticketData) {
         if (key !== '_attachments' && ticketData[key] !== undefined) {
-          if (typeof ticketData[key] === 'object') {
+          if (key === 'custom_fields') {
+            // Multipart requests need one custom_fields[name] entry per field
+            for (const fieldName in ticketData.custom_fields) {
+              form.append(`custom_fields[${fieldName}]`, String(ticketData.custom_fields[fieldName]));
+            }
+          } else if (Array.isArray(ticketData[key])) {
+            // Arrays (tags, cc_emails) need one key[] entry per value
+            ticketData[key].forEach(value => form.append(`${key}[]`, String(value)));
+          } else if (typeof ticketData[key] === 'object') {
             form.append(key, JSON.stringify(ticketData[key]));
           } else {
             form.append(key, ticketData[key]);
@@ -567,6 +578,7 @@ async function createFreshdeskTicket(ticketData) {
           headers: form.getHeaders()
         }
       );
+      await addFreshdeskWatchers(response.data.id, watcherIds);
       return response.data;
     } else {
       // If no attachments, use regular JSON request
@@ -584,6 +596,7 @@ async function createFreshdeskTicket(ticketData) {
           }
         }
       );
+      await addFreshdeskWatchers(response.data.id, watcherIds);
       return response.data;
     }
   } catch (error) {
@@ -592,9 +605,185 @@ async function createFreshdeskTicket(ticketData) {
   }
 }
 
+// Helper function to add agents as watchers of a ticket (PUT /api/v2/tickets/bulk_watch, one call per agent)
+// The ticket already exists at this point, so failures are logged instead of thrown
+async function addFreshdeskWatchers(ticketId, agentIds) {
+  const FRESHDESK_DOMAIN = process.env.FRESHDESK_DOMAIN;
+  const FRESHDESK_API_KEY = process.env.FRESHDESK_API_KEY;
+  
+  for (const agentId of agentIds || []) {
+    try {
+      await axios.put(
+        `${FRESHDESK_DOMAIN}/api/v2/tickets/bulk_watch`,
+        { ids: [ticketId], user_id: agentId },
+        {
+          auth: {
+            username: FRESHDESK_API_KEY,
+            password: 'X'
+          },
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+      console.log(`Added agent ${agentId} as watcher of ticket ${ticketId}`);
+    } catch (error) {
+      console.error(`Error adding agent ${agentId} as watcher of ticket ${ticketId}:`, error.response ? error.response.data : error.message);
+    }
+  }
+}
+
+// Helper function to get the ID of the last part of a conversation (used to track what was synced)
+function getLastConversationPartId(conversation) {
+  const parts = (conversation && conversation.conversation_parts && conversation.conversation_parts.conversation_parts) || [];
+  return parts.length > 0 ? parts[parts.length - 1].id : null;
+}
+
+// Helper function to get the conversation parts added after lastSyncedPartId
+function getNewConversationParts(conversation, lastSyncedPartId) {
+  const parts = (conversation && conversation.conversation_parts && conversation.conversation_parts.conversation_parts) || [];
+  if (!lastSyncedPartId) {
+    return parts;
+  }
+  
+  const lastIndex = parts.findIndex(part => part.id === lastSyncedPartId);
+  if (lastIndex !== -1) {
+    return parts.slice(lastIndex + 1);
+  }
+  
+  // The synced part is no longer in the list, fall back to comparing the (numeric) part IDs
+  return parts.filter(part => Number(part.id) > Number(lastSyncedPartId));
+}
+
+// Helper function to render selected conversation parts as a Freshdesk note
+// Reuses formatConversationAsHtml so messages and attachments look the same as in the original transcript
+async function buildConversationPartsNote(conversation, parts) {
+  const partialConversation = {
+    ...conversation,
+    source: null,
+    conversation_parts: { conversation_parts: parts }
+  };
+  
+  const { html, attachments } = await formatConversationAsHtml(partialConversation);
+  return {
+    body: html,
+    _attachments: await downloadAttachments(attachments)
+  };
+}
+
+// Helper function to post a note or reply to an existing Freshdesk ticket
+// endpoint is 'notes' or 'reply'; data: { body, ..., _attachments } - attachments use the same shape as createFreshdeskTicket
+async function postToFreshdeskTicket(ticketId, endpoint, data) {
+  const FRESHDESK_DOMAIN = process.env.FRESHDESK_DOMAIN;
+  const FRESHDESK_API_KEY = process.env.FRESHDESK_API_KEY;
+  const url = `${FRESHDESK_DOMAIN}/api/v2/tickets/${ticketId}/${endpoint}`;
+  const label = endpoint === 'reply' ? 'reply' : 'note';
+  
+  try {
+    const hasAttachments = data._attachments && data._attachments.length > 0;
+    
+    if (hasAttachments) {
+      const FormData = require('form-data');
+      const form = new FormData();
+      
+      // Add note or reply fields to form
+      for (const key in data) {
+        if (key !== '_attachments' && data[key] !== undefined) {
+          form.append(key, typeof data[key] === 'object' ? JSON.stringify(data[key]) : String(data[key]));
+        }
+      }
+      
+      // Add attachments to form
+      data._attachments.forEach(attachment => {
+        form.append(`attachments[]`, Buffer.from(attachment.buffer), {
+          filename: attachment.name,
+          contentType: attachment.content_type
+        });
+      });
+      
+      console.log(`Adding ${label} to ticket ${ticketId} with ${data._attachments.length} attachments via multipart/form-data`);
+      const response = await axios.post(url, form, {
+        auth: {
+          username: FRESHDESK_API_KEY,
+          password: 'X'
+        },
+        headers: form.getHeaders()
+      });
+      return response.data;
+    } else {
+      const { _attachments, ...jsonData } = data;
+      console.log(`Adding ${label} to ticket ${ticketId} via JSON`);
+      const response = await axios.post(url, jsonData, {
+        auth: {
+          username: FRESHDESK_API_KEY,
+          password: 'X'
+        },
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+      return response.data;
+    }
+  } catch (error) {
+    console.error(`Error adding ${label} to Freshdesk ticket ${ticketId}:`, error.response ? error.response.data : error.message);
+    throw error;
+  }
+}
+
+// Helper function to add a note to an existing Freshdesk ticket
+// noteData: { body, private, _attachments } - attachments use the same shape as createFreshdeskTicket
+async function addFreshdeskNote(ticketId, noteData) {
+  return postToFreshdeskTicket(ticketId, 'notes', noteData);
+}
+
+// Helper function to add a public reply to an existing Freshdesk ticket
+// replyData: { body, _attachments }
+async function addFreshdeskReply(ticketId, replyData) {
+  return postToFreshdeskTicket(ticketId, 'reply', replyData);
+}
+
+// Helper function to list the files attached to an Intercom conversation, oldest first
+// Returns { name, url, content_type } entries (inline images are not included)
+function getConversationAttachments(conversation) {
+  const parts = [
+    conversation.source,
+    ...(conversation.conversation_parts?.conversation_parts || [])
+  ];
+  
+  return parts
+    .filter(part => part && Array.isArray(part.attachments))
+    .flatMap(part => part.attachments)
+    .filter(attachment => attachment.url)
+    .map(attachment => ({
+      name: attachment.name,
+      url: attachment.url,
+      content_type: attachment.content_type
+    }));
+}
+
+// Helper function to turn an agent's plain text message into HTML, signed with the Intercom admin's name
+function formatAgentMessageHtml(text, adminName) {
+  const bodyHtml = he.encode(text.trim()).replace(/\r\n|\r|\n/g, '<br>');
+  return `<div>${bodyHtml}</div><p style="color: #6b778c; font-size: 12px;">Added from Intercom by ${he.encode(adminName)}</p>`;
+}
+
+// Helper function to turn the plain text description from the ticket forms into HTML for Freshdesk
+function formatDescriptionHtml(text) {
+  return he.encode(text || '').replace(/\r\n|\r|\n/g, '<br>');
+}
+
 module.exports = {
   fetchIntercomConversation,
   formatConversationAsHtml,
   addConversationTranscriptToTicket,
-  createFreshdeskTicket
+  createFreshdeskTicket,
+  addFreshdeskNote,
+  addFreshdeskReply,
+  downloadAttachments,
+  getConversationAttachments,
+  formatAgentMessageHtml,
+  formatDescriptionHtml,
+  getLastConversationPartId,
+  getNewConversationParts,
+  buildConversationPartsNote
 };
@@ -0,0 +1,49 @@
+// Helpers to spot escalations that would duplicate an existing Freshdesk ticket
+const { isOpenTicket } = require('./ticket-status');
+
+// Share of common subject words needed to call two subjects similar
+const SIMILARITY_THRESHOLD = 0.6;
+
+// Helper function to get the distinct words of a subject, ignoring reply/forward prefixes and punctuation
+function subjectWords(subject) {
+  const words = String(subject || '')
+    .toLowerCase()
+    .replace(/^\s*((re|fw|fwd)\s*:\s*)+/, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  return new Set(words);
+}
+
+// Similarity of two subjects between 0 and 1 (shared words / all words)
+function subjectSimilarity(a, b) {
+  const wordsA = subjectWords(a);
+  const wordsB = subjectWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// Find the open tickets whose subject is similar to the given one, most similar first
+function findSimilarOpenTickets(tickets, subject) {
+  return (tickets || [])
+    .filter(isOpenTicket)
+    .map(ticket => ({ ticket, similarity: subjectSimilarity(ticket.subject, subject) }))
+    .filter(match => match.similarity >= SIMILARITY_THRESHOLD)
+    .sort((a, b) => b.similarity - a.similarity)
+    .map(match => match.ticket);
+}
+
+// Check whether an escalation record means the conversation already has (or is getting) a ticket
+function isActiveEscalation(escalation) {
+  if (!escalation) return false;
+  return (['created', 'linked'].includes(escalation.status) && Boolean(escalation.ticketId)) ||
+    escalation.status === 'in_progress';
+}
+
+module.exports = {
+  subjectSimilarity,
+  findSimilarOpenTickets,
+  isActiveEscalation
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { getCustomFieldComponentValues } = require('./ticket-fields');
+const { parseList } = require('./ticket-tags');
+
+// Escalation templates preset the ticket form for recurring kinds of issue
+//
+// Templates are read from ESCALATION_TEMPLATES_PATH (default escalation-templates.json,
+// see escalation-templates.example.json). The file is re-read on every use, so edits
+// apply without a restart. Each template looks like:
+// {
+//   id, name, subject, description,
+//   mailbox: support email or product ID, status: label or ID, priority: label or value,
+//   group: name or ID, type, tags: [], custom_fields: { cf_name: value },
+//   transcript_format: 'html' | 'text' | 'markdown', transcript_attachment: true | false (see transcript-formats.js)
+// }
+
+const DEFAULT_TEMPLATES_PATH = path.join(__dirname, 'escalation-templates.json');
+
+// Helper function to get the configured templates file
+function getTemplatesPath() {
+  return process.env.ESCALATION_TEMPLATES_PATH || DEFAULT_TEMPLATES_PATH;
+}
+
+// Load the escalation templates, returns [] if there is no templates file
+// Templates without an id or name are skipped
+async function loadEscalationTemplates() {
+  const filePath = getTemplatesPath();
+  let contents;
+  try {
+    contents = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error reading escalation templates from ${filePath}:`, error.message);
+    }
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(contents);
+    const templates = Array.isArray(parsed) ? parsed : parsed.templates;
+    return (templates || []).filter(template => {
+      const valid = template && template.id && template.name;
+      if (!valid) {
+        console.warn(`Skipping escalation template without id or name in ${filePath}:`, template);
+      }
+      return valid;
+    });
+  } catch (error) {
+    console.error(`Error parsing escalation templates in ${filePath}:`, error.message);
+    return [];
+  }
+}
+
+// Find an escalation template by id, or null if there is none
+async function getEscalationTemplate(templateId) {
+  if (!templateId) return null;
+  const templates = await loadEscalationTemplates();
+  return templates.find(template => String(template.id) === String(templateId)) || null;
+}
+
+// Helper function to compare a preset with a choice by ID or (case-insensitive) name
+function matches(preset, id, name) {
+  if (preset === undefined || preset === null || preset === '') return false;
+  return String(preset) === String(id) || String(preset).toLowerCase() === String(name || '').toLowerCase();
+}
+
+// Turn a template into the component values of the ticket form
+// Presets that don't match anything in Freshdesk are logged and left at the form defaults
+function getTemplateFormValues(template, { mailboxes = [], statusChoices = [], priorityChoices = [], groups = [], ticketTypes = [], ticketFields = [] }) {
+  const values = {};
+  if (!template) {
+    return values;
+  }
+
+  if (template.subject) values.subject = template.subject;
+  if (template.description) values.description = template.description;
+
+  const presetWarning = (field, preset) => console.warn(`Escalation template "${template.id}": unknown ${field} "${preset}"`);
+
+  if (template.mailbox !== undefined) {
+    const mailbox = mailboxes.find(candidate => candidate.active === true &&
+      (matches(template.mailbox, candidate.product_id, candidate.support_email) || matches(template.mailbox, candidate.id, candidate.name)));
+    if (mailbox) values.product_id = `product_${mailbox.product_id}`;
+    else presetWarning('mailbox', template.mailbox);
+  }
+
+  if (template.status !== undefined) {
+    const status = statusChoices.find(choice => matches(template.status, choice.id, choice.label));
+    if (status) values.status = `status_${status.id}`;
+    else presetWarning('status', template.status);
+  }
+
+  if (template.priority !== undefined) {
+    const priority = priorityChoices.find(choice => matches(template.priority, choice.value, choice.label));
+    if (priority) values.priority = `priority_${priority.value}`;
+    else presetWarning('priority', template.priority);
+  }
+
+  if (template.group !== undefined) {
+    const group = groups.find(candidate => matches(template.group, candidate.id, candidate.name));
+    if (group) values.group_id = `group_${group.id}`;
+    else presetWarning('group', template.group);
+  }
+
+  if (template.type !== undefined) {
+    const index = ticketTypes.findIndex(ticketType => matches(template.type, ticketType, ticketType));
+    if (index !== -1) values.type = `type_${index}`;
+    else presetWarning('type', template.type);
+  }
+
+  if (template.tags) {
+    values.tags = parseList(template.tags).join(', ');
+  }
+
+  return {
+    ...values,
+    ...getCustomFieldComponentValues(ticketFields, template.custom_fields)
+  };
+}
+
+module.exports = {
+  loadEscalationTemplates,
+  getEscalationTemplate,
+  getTemplateFormValues
+};
@@ -0,0 +1,83 @@
+const path = require('path');
+const { createJsonFileBackend } = require('./ticket-store');
+
+// Key/value store whose entries expire after a fixed time window
+//
+// Used for things that only need to be remembered for a while, such as webhook
+// deliveries that were already processed. Entries are persisted through a store
+// backend (see ticket-store.js), so they survive restarts.
+
+// Only prune expired entries every so often instead of on every write
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+function createExpiringStore({ backend, ttlMs }) {
+  let lastPrunedAt = 0;
+
+  function isExpired(record) {
+    return !record || new Date(record.expiresAt).getTime() <= Date.now();
+  }
+
+  // Remove every expired entry
+  async function prune() {
+    lastPrunedAt = Date.now();
+    const records = await backend.list();
+    for (const record of records) {
+      if (isExpired(record)) {
+        await backend.delete(record.key);
+      }
+    }
+  }
+
+  return {
+    // Get the value stored under a key, or null if there is none or it expired
+    async get(key) {
+      const record = await backend.get(key);
+      if (!record) {
+        return null;
+      }
+      if (isExpired(record)) {
+        await backend.delete(key);
+        return null;
+      }
+      return record.value;
+    },
+
+    async has(key) {
+      return (await this.get(key)) !== null;
+    },
+
+    // Store a value under a key for the configured time window
+    async set(key, value = true) {
+      const now = Date.now();
+      await backend.set(key, {
+        key,
+        value,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString()
+      });
+
+      if (now - lastPrunedAt > PRUNE_INTERVAL_MS) {
+        await prune();
+      }
+    },
+
+    async delete(key) {
+      await backend.delete(key);
+    },
+
+    prune
+  };
+}
+
+// Helper function to create an expiring store persisted to a JSON file in data/
+function createJsonExpiringStore(fileName, ttlMs) {
+  return createExpiringStore({
+    backend: createJsonFileBackend(path.join(__dirname, 'data', fileName)),
+    ttlMs
+  });
+}
+
+module.exports = {
+  createExpiringStore,
+  createJsonExpiringStore
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { createJsonExpiringStore } = require('./expiring-store');
+
+// Idempotency keys for ticket creation
+//
+// A key is either passed by the client (Idempotency-Key header) or derived from the
+// conversation ID and the submitted values. The first request claims the key, and its
+// result is stored with it, so a repeated request gets the original ticket back instead
+// of creating another one. Keys expire after IDEMPOTENCY_KEY_TTL_SECONDS (default 24 hours).
+//
+// Records look like { status: 'in_progress' | 'completed', fingerprint, result }
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+// Helper function to read the key lifetime from the environment
+function getTtlMs() {
+  const ttl = parseInt(process.env.IDEMPOTENCY_KEY_TTL_SECONDS, 10);
+  return (Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_SECONDS) * 1000;
+}
+
+const idempotencyKeys = createJsonExpiringStore('idempotency-keys.json', getTtlMs());
+
+// Keys being claimed right now, so two concurrent requests can't both claim the same key
+const claimingKeys = new Set();
+
+// Helper function to serialize a value with sorted object keys, so equal submissions hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Hash any number of values (e.g. conversation ID and submitted values) into a key or fingerprint
+function deriveIdempotencyKey(...parts) {
+  return crypto.createHash('sha256').update(stableStringify(parts)).digest('hex');
+}
+
+// Try to claim a key for a new request
+// Returns { claimed: true } for the first request, or { claimed: false, record } with the
+// stored record ({ status: 'in_progress' } while the first request is still running)
+async function claimIdempotencyKey(key, fingerprint = null) {
+  if (claimingKeys.has(key)) {
+    return { claimed: false, record: { status: 'in_progress', fingerprint } };
+  }
+
+  claimingKeys.add(key);
+  try {
+    const existing = await idempotencyKeys.get(key);
+    if (existing) {
+      return { claimed: false, record: existing };
+    }
+    await idempotencyKeys.set(key, { status: 'in_progress', fingerprint });
+    return { claimed: true };
+  } finally {
+    claimingKeys.delete(key);
+  }
+}
+
+// Store the result of the request that claimed a key
+async function completeIdempotencyKey(key, result) {
+  const existing = await idempotencyKeys.get(key);
+  await idempotencyKeys.set(key, {
+    ...(existing || {}),
+    status: 'completed',
+    result
+  });
+}
+
+// Release a key whose request failed, so it can be retried
+async function releaseIdempotencyKey(key) {
+  await idempotencyKeys.delete(key);
+}
+
+module.exports = {
+  deriveIdempotencyKey,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+};
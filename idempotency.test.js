@@ -0,0 +1,98 @@
+// Keep the keys in memory instead of data/idempotency-keys.json
+jest.mock('./expiring-store', () => {
+  const { createExpiringStore } = jest.requireActual('./expiring-store');
+  const { createMemoryBackend } = jest.requireActual('./ticket-store');
+  return {
+    createExpiringStore,
+    createJsonExpiringStore: (fileName, ttlMs) => createExpiringStore({ backend: createMemoryBackend(), ttlMs })
+  };
+});
+
+const {
+  deriveIdempotencyKey,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+} = require('./idempotency');
+
+// Every test uses its own key, as the store is shared
+let keyCount = 0;
+function newKey() {
+  keyCount += 1;
+  return deriveIdempotencyKey('conversation', keyCount);
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('deriveIdempotencyKey', () => {
+  test('ignores the order of object keys', () => {
+    expect(deriveIdempotencyKey('c1', { subject: 'Hi', email: 'a@example.com' }))
+      .toBe(deriveIdempotencyKey('c1', { email: 'a@example.com', subject: 'Hi' }));
+  });
+
+  test('changes with any submitted value', () => {
+    const key = deriveIdempotencyKey('c1', { subject: 'Hi', tags: ['a', 'b'] });
+    expect(deriveIdempotencyKey('c2', { subject: 'Hi', tags: ['a', 'b'] })).not.toBe(key);
+    expect(deriveIdempotencyKey('c1', { subject: 'Hi!', tags: ['a', 'b'] })).not.toBe(key);
+    expect(deriveIdempotencyKey('c1', { subject: 'Hi', tags: ['b', 'a'] })).not.toBe(key);
+  });
+
+  test('treats undefined like null', () => {
+    expect(deriveIdempotencyKey('c1', { type: undefined })).toBe(deriveIdempotencyKey('c1', { type: null }));
+  });
+});
+
+describe('claiming keys', () => {
+  test('the first request claims a key, a repeat sees it in progress', async () => {
+    const key = newKey();
+
+    expect(await claimIdempotencyKey(key, 'fingerprint-1')).toEqual({ claimed: true });
+    expect(await claimIdempotencyKey(key, 'fingerprint-1')).toEqual({
+      claimed: false,
+      record: { status: 'in_progress', fingerprint: 'fingerprint-1' }
+    });
+  });
+
+  test('only one of two concurrent requests claims a key', async () => {
+    const key = newKey();
+
+    const results = await Promise.all([claimIdempotencyKey(key), claimIdempotencyKey(key)]);
+    expect(results.filter(result => result.claimed)).toHaveLength(1);
+    expect(results.find(result => !result.claimed).record.status).toBe('in_progress');
+  });
+
+  test('a completed key returns the stored result and keeps its fingerprint', async () => {
+    const key = newKey();
+    await claimIdempotencyKey(key, 'fingerprint-1');
+
+    await completeIdempotencyKey(key, { ticketId: 123 });
+
+    expect(await claimIdempotencyKey(key, 'fingerprint-2')).toEqual({
+      claimed: false,
+      record: { status: 'completed', fingerprint: 'fingerprint-1', result: { ticketId: 123 } }
+    });
+  });
+
+  test('a released key can be claimed again', async () => {
+    const key = newKey();
+    await claimIdempotencyKey(key);
+
+    await releaseIdempotencyKey(key);
+
+    expect(await claimIdempotencyKey(key)).toEqual({ claimed: true });
+  });
+
+  test('keys can be claimed again once they expire', async () => {
+    const key = newKey();
+    await claimIdempotencyKey(key);
+    await completeIdempotencyKey(key, { ticketId: 123 });
+
+    // The default lifetime is 24 hours
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 24 * 60 * 60 * 1000 + 1);
+
+    expect(await claimIdempotencyKey(key)).toEqual({ claimed: true });
+  });
+});
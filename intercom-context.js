@@ -0,0 +1,67 @@
+const NodeCache = require('node-cache');
+
+// Per-conversation Intercom context (customer email, default subject/description)
+//
+// Context is keyed by conversation ID and admin ID so that several agents working
+// on different conversations at the same time never see each other's data.
+// Entries expire after INTERCOM_CONTEXT_TTL_SECONDS (default one hour).
+
+const DEFAULT_TTL_SECONDS = 60 * 60;
+
+const contextCache = new NodeCache({
+  stdTTL: parseInt(process.env.INTERCOM_CONTEXT_TTL_SECONDS, 10) || DEFAULT_TTL_SECONDS,
+  checkperiod: 120,
+  useClones: true
+});
+
+// Helper function to build the cache key; returns null unless both IDs are known
+function contextKey(conversationId, adminId) {
+  if (!conversationId || !adminId) {
+    return null;
+  }
+  return `${conversationId}:${adminId}`;
+}
+
+// Helper function to pull the conversation and admin IDs out of a Canvas Kit request body
+function getContextIds(body = {}) {
+  const conversationId = body.conversation_id || body.conversation?.id;
+  const adminId = body.admin?.id;
+  return {
+    conversationId: conversationId ? conversationId.toString() : null,
+    adminId: adminId ? adminId.toString() : null
+  };
+}
+
+// Store the context for a conversation/admin pair
+function saveIntercomContext(conversationId, adminId, context) {
+  const key = contextKey(conversationId, adminId);
+  if (!key) {
+    console.warn('Not storing Intercom context: conversation ID or admin ID is missing');
+    return false;
+  }
+  return contextCache.set(key, context);
+}
+
+// Get the context for a conversation/admin pair, or null if there is none (or it expired)
+function getIntercomContext(conversationId, adminId) {
+  const key = contextKey(conversationId, adminId);
+  if (!key) {
+    return null;
+  }
+  return contextCache.get(key) || null;
+}
+
+// Remove the context for a conversation/admin pair
+function clearIntercomContext(conversationId, adminId) {
+  const key = contextKey(conversationId, adminId);
+  if (key) {
+    contextCache.del(key);
+  }
+}
+
+module.exports = {
+  getContextIds,
+  saveIntercomContext,
+  getIntercomContext,
+  clearIntercomContext
+};
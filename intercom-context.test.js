@@ -0,0 +1,168 @@
+const http = require('http');
+const { saveIntercomContext, getIntercomContext, clearIntercomContext } = require('./intercom-context');
+
+// Two agents working on two conversations at the same time
+const FIRST = { conversationId: 'conv-1', adminId: 'admin-1', customerEmail: 'first@example.com' };
+const SECOND = { conversationId: 'conv-2', adminId: 'admin-2', customerEmail: 'second@example.com' };
+
+function saveBoth() {
+  for (const { conversationId, adminId, customerEmail } of [FIRST, SECOND]) {
+    saveIntercomContext(conversationId, adminId, { customerEmail, defaultTitle: `Conversation ${conversationId}` });
+  }
+}
+
+afterEach(() => {
+  clearIntercomContext(FIRST.conversationId, FIRST.adminId);
+  clearIntercomContext(SECOND.conversationId, SECOND.adminId);
+});
+
+describe('intercom context', () => {
+  test('each conversation/admin pair only sees its own context', () => {
+    saveBoth();
+
+    expect(getIntercomContext(FIRST.conversationId, FIRST.adminId).customerEmail).toBe(FIRST.customerEmail);
+    expect(getIntercomContext(SECOND.conversationId, SECOND.adminId).customerEmail).toBe(SECOND.customerEmail);
+  });
+
+  test('mixing the IDs of two pairs finds nothing', () => {
+    saveBoth();
+
+    expect(getIntercomContext(FIRST.conversationId, SECOND.adminId)).toBeNull();
+    expect(getIntercomContext(SECOND.conversationId, FIRST.adminId)).toBeNull();
+  });
+
+  test('context is not stored without both IDs', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(saveIntercomContext(FIRST.conversationId, null, { customerEmail: FIRST.customerEmail })).toBe(false);
+    expect(getIntercomContext(FIRST.conversationId, null)).toBeNull();
+    console.warn.mockRestore();
+  });
+});
+
+describe('API endpoints with a UI token', () => {
+  let freshdesk;
+  let server;
+  let baseUrl;
+  let issueUiToken;
+  // Customer emails the fake Freshdesk was asked for
+  const requestedEmails = [];
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    // Fake Freshdesk that records which customer's tickets were listed
+    freshdesk = http.createServer((req, res) => {
+      const email = new URL(req.url, 'http://localhost').searchParams.get('email');
+      requestedEmails.push(email);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify([{ id: 1, subject: `Ticket of ${email}`, created_at: new Date().toISOString(), status: 2, priority: 1 }]));
+    });
+    await new Promise(resolve => freshdesk.listen(0, '127.0.0.1', resolve));
+
+    process.env.FRESHDESK_DOMAIN = `http://127.0.0.1:${freshdesk.address().port}`;
+    process.env.APP_TOKEN_SECRET = 'test-secret';
+    process.env.API_KEYS = 'test-api-key';
+    process.env.TICKET_STORE_BACKEND = 'memory';
+    ({ issueUiToken } = require('./api-auth'));
+    const app = require('./server');
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => freshdesk.close(resolve));
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    requestedEmails.length = 0;
+  });
+
+  // Helper function to call an endpoint with the token of one conversation/admin pair
+  async function fetchWithToken(path, { conversationId, adminId }) {
+    const token = issueUiToken({ conversation_id: conversationId, admin_id: adminId });
+    return fetch(`${baseUrl}${path}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+  }
+
+  // Helper function to list recent tickets with the token of one conversation/admin pair
+  async function fetchRecentTickets(pair, query = '') {
+    return fetchWithToken(`/api/freshdesk/recent-tickets${query}`, pair);
+  }
+
+  test('GET /api/ui-context returns the customer and form defaults of the token', async () => {
+    saveBoth();
+
+    const response = await fetchWithToken('/api/ui-context', SECOND);
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      customer: { email: SECOND.customerEmail },
+      conversation: { id: SECOND.conversationId },
+      default_title: `Conversation ${SECOND.conversationId}`
+    });
+  });
+
+  test('GET /api/ui-context finds nothing for a token without stored context', async () => {
+    const response = await fetchWithToken('/api/ui-context', FIRST);
+    expect(response.status).toBe(404);
+  });
+
+  test('each token lists the tickets of its own conversation customer', async () => {
+    saveBoth();
+
+    const [firstResponse, secondResponse] = await Promise.all([fetchRecentTickets(FIRST), fetchRecentTickets(SECOND)]);
+    expect(firstResponse.status).toBe(200);
+    expect(secondResponse.status).toBe(200);
+
+    const [firstTickets, secondTickets] = await Promise.all([firstResponse.json(), secondResponse.json()]);
+    expect(firstTickets[0].subject).toBe(`Ticket of ${FIRST.customerEmail}`);
+    expect(secondTickets[0].subject).toBe(`Ticket of ${SECOND.customerEmail}`);
+    expect(requestedEmails.sort()).toEqual([FIRST.customerEmail, SECOND.customerEmail].sort());
+  });
+
+  test('POST /api/freshdesk/create-ticket rejects another conversation than the token\'s', async () => {
+    const token = issueUiToken({ conversation_id: FIRST.conversationId, admin_id: FIRST.adminId });
+    const response = await fetch(`${baseUrl}/api/freshdesk/create-ticket`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        conversation_id: SECOND.conversationId,
+        email: SECOND.customerEmail,
+        subject: 'Hello',
+        description: 'Hello',
+        product_id: '1'
+      })
+    });
+    expect(response.status).toBe(403);
+    expect(requestedEmails).toEqual([]);
+  });
+
+  test('the failed job endpoints need an API key', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const listResponse = await fetchWithToken('/api/jobs/failed', FIRST);
+    expect(listResponse.status).toBe(403);
+
+    const token = issueUiToken({ conversation_id: FIRST.conversationId, admin_id: FIRST.adminId });
+    const retryResponse = await fetch(`${baseUrl}/api/jobs/some-job/retry`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    expect(retryResponse.status).toBe(403);
+
+    const apiKeyResponse = await fetch(`${baseUrl}/api/jobs/failed`, { headers: { 'X-API-Key': 'test-api-key' } });
+    expect(apiKeyResponse.status).toBe(200);
+    console.warn.mockRestore();
+  });
+
+  test('a token cannot ask for another customer with ?email=', async () => {
+    saveBoth();
+
+    const response = await fetchRecentTickets(FIRST, `?email=${encodeURIComponent(SECOND.customerEmail)}`);
+    expect(response.status).toBe(200);
+    expect(requestedEmails).toEqual([FIRST.customerEmail]);
+  });
+});
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+// Helper function to compute the Canvas Kit body signature (HMAC-SHA256 hex digest of the raw body)
+function computeBodySignature(rawBody, clientSecret) {
+  return crypto
+    .createHmac('sha256', clientSecret)
+    .update(rawBody)
+    .digest('hex');
+}
+
+// Helper function to compare two hex signatures without leaking timing information
+function signaturesMatch(expected, received) {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const receivedBuffer = Buffer.from(received, 'hex');
+
+  if (expectedBuffer.length === 0 || expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+// Check whether signature verification has been explicitly disabled for local development
+function isSignatureCheckDisabled() {
+  return process.env.SKIP_INTERCOM_SIGNATURE_CHECK === 'true';
+}
+
+// Express middleware that rejects Canvas Kit requests whose X-Body-Signature header
+// does not match the HMAC of the raw request body signed with our Intercom client secret
+function verifyIntercomSignature(req, res, next) {
+  if (isSignatureCheckDisabled()) {
+    return next();
+  }
+
+  const clientSecret = process.env.INTERCOM_CLIENT_SECRET;
+  if (!clientSecret) {
+    console.error(`Rejecting ${req.method} ${req.originalUrl}: INTERCOM_CLIENT_SECRET is not set`);
+    return res.status(401).json({ error: 'Request signature could not be verified' });
+  }
+
+  const receivedSignature = req.get('X-Body-Signature');
+  if (!receivedSignature) {
+    console.warn(`Rejecting unsigned request to ${req.originalUrl} from ${req.ip}`);
+    return res.status(401).json({ error: 'Missing request signature' });
+  }
+
+  // The raw body is captured by the express.json() verify hook in server.js
+  const rawBody = req.rawBody || Buffer.alloc(0);
+  const expectedSignature = computeBodySignature(rawBody, clientSecret);
+
+  if (!signaturesMatch(expectedSignature, receivedSignature.trim())) {
+    console.warn(`Rejecting request to ${req.originalUrl} from ${req.ip}: invalid X-Body-Signature`);
+    return res.status(401).json({ error: 'Invalid request signature' });
+  }
+
+  next();
+}
+
+// Express middleware that verifies Intercom webhook notifications
+// Intercom sends X-Hub-Signature: sha1=<HMAC-SHA1 of the raw body signed with the client secret>
+function verifyIntercomWebhookSignature(req, res, next) {
+  if (isSignatureCheckDisabled()) {
+    return next();
+  }
+
+  const clientSecret = process.env.INTERCOM_CLIENT_SECRET;
+  if (!clientSecret) {
+    console.error(`Rejecting webhook ${req.originalUrl}: INTERCOM_CLIENT_SECRET is not set`);
+    return res.status(401).json({ error: 'Webhook signature could not be verified' });
+  }
+
+  const receivedSignature = (req.get('X-Hub-Signature') || '').replace(/^sha1=/, '').trim();
+  if (!receivedSignature) {
+    console.warn(`Rejecting unsigned webhook to ${req.originalUrl} from ${req.ip}`);
+    return res.status(401).json({ error: 'Missing webhook signature' });
+  }
+
+  const expectedSignature = crypto
+    .createHmac('sha1', clientSecret)
+    .update(req.rawBody || Buffer.alloc(0))
+    .digest('hex');
+
+  if (!signaturesMatch(expectedSignature, receivedSignature)) {
+    console.warn(`Rejecting webhook to ${req.originalUrl} from ${req.ip}: invalid X-Hub-Signature`);
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  next();
+}
+
+module.exports = {
+  computeBodySignature,
+  isSignatureCheckDisabled,
+  verifyIntercomSignature,
+  verifyIntercomWebhookSignature
+};
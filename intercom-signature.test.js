@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { computeBodySignature } = require('./intercom-signature');
+
+const CLIENT_SECRET = 'test-client-secret';
+
+// A Canvas Kit initialize request and an Intercom webhook notification, as sent by Intercom
+const INITIALIZE_BODY = JSON.stringify({
+  conversation: { id: 'conv-1' },
+  admin: { id: 'admin-1' },
+  contact: { email: 'first@example.com' }
+});
+const WEBHOOK_BODY = JSON.stringify({ topic: 'ping', data: { item: { id: 'conv-1' } } });
+
+// Helper function to sign a webhook body the way Intercom does (X-Hub-Signature: sha1=<hex>)
+function hubSignature(body, secret = CLIENT_SECRET) {
+  return `sha1=${crypto.createHmac('sha1', secret).update(body).digest('hex')}`;
+}
+
+let app;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  process.env.INTERCOM_CLIENT_SECRET = CLIENT_SECRET;
+  // Nothing listens here, so Freshdesk lookups fail right away
+  process.env.FRESHDESK_DOMAIN = 'http://127.0.0.1:9';
+  process.env.TICKET_STORE_BACKEND = 'memory';
+  app = require('./server');
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+afterEach(() => {
+  process.env.INTERCOM_CLIENT_SECRET = CLIENT_SECRET;
+  delete process.env.SKIP_INTERCOM_SIGNATURE_CHECK;
+});
+
+describe('Canvas Kit requests (X-Body-Signature)', () => {
+  // Helper function to post the initialize request with the given headers
+  function postInitialize(headers = {}, body = INITIALIZE_BODY) {
+    return request(app)
+      .post('/api/initialize')
+      .set('Content-Type', 'application/json')
+      .set(headers)
+      .send(body);
+  }
+
+  test('a request signed with the client secret is accepted', async () => {
+    const response = await postInitialize({ 'X-Body-Signature': computeBodySignature(INITIALIZE_BODY, CLIENT_SECRET) });
+    expect(response.status).toBe(200);
+    expect(response.body.canvas).toBeDefined();
+  });
+
+  test('a request without a signature gets 401', async () => {
+    const response = await postInitialize();
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Missing request signature');
+  });
+
+  test.each([
+    ['another secret', computeBodySignature(INITIALIZE_BODY, 'another-secret')],
+    ['another body', computeBodySignature('{}', CLIENT_SECRET)],
+    ['a malformed signature', 'not-a-signature']
+  ])('a request signed with %s gets 401', async (name, signature) => {
+    const response = await postInitialize({ 'X-Body-Signature': signature });
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Invalid request signature');
+  });
+
+  test('requests are rejected while INTERCOM_CLIENT_SECRET is not set', async () => {
+    const signature = computeBodySignature(INITIALIZE_BODY, CLIENT_SECRET);
+    delete process.env.INTERCOM_CLIENT_SECRET;
+
+    const response = await postInitialize({ 'X-Body-Signature': signature });
+    expect(response.status).toBe(401);
+  });
+
+  test('SKIP_INTERCOM_SIGNATURE_CHECK=true lets unsigned requests through', async () => {
+    process.env.SKIP_INTERCOM_SIGNATURE_CHECK = 'true';
+
+    const response = await postInitialize();
+    expect(response.status).toBe(200);
+  });
+});
+
+describe('Intercom webhooks (X-Hub-Signature)', () => {
+  // Helper function to post the webhook notification with the given headers
+  function postWebhook(headers = {}) {
+    return request(app)
+      .post('/api/webhooks/intercom')
+      .set('Content-Type', 'application/json')
+      .set(headers)
+      .send(WEBHOOK_BODY);
+  }
+
+  test('a notification signed with the client secret is accepted', async () => {
+    const response = await postWebhook({ 'X-Hub-Signature': hubSignature(WEBHOOK_BODY) });
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ received: true, ignored: true });
+  });
+
+  test('a notification without a signature gets 401', async () => {
+    const response = await postWebhook();
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Missing webhook signature');
+  });
+
+  test.each([
+    ['another secret', hubSignature(WEBHOOK_BODY, 'another-secret')],
+    ['another body', hubSignature('{}')],
+    ['the Canvas Kit signature', computeBodySignature(WEBHOOK_BODY, CLIENT_SECRET)]
+  ])('a notification signed with %s gets 401', async (name, signature) => {
+    const response = await postWebhook({ 'X-Hub-Signature': signature });
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Invalid webhook signature');
+  });
+});
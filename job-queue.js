@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createJsonFileBackend } = require('./ticket-store');
+
+// Durable background job queue
+//
+// Jobs are persisted through a store backend (JSON file by default) so pending work
+// survives restarts. Each job looks like:
+// {
+//   id, type, payload, status: 'pending' | 'running' | 'dead',
+//   attempts, maxAttempts, nextRunAt, lastError, createdAt, updatedAt
+// }
+// Completed jobs are removed. Jobs that exhaust their attempts stay in the store with
+// status 'dead' (the dead-letter list) until they are re-run or removed.
+
+const DEFAULT_JOBS_PATH = path.join(__dirname, 'data', 'jobs.json');
+
+function createJobQueue({
+  backend = createJsonFileBackend(process.env.JOB_QUEUE_PATH || DEFAULT_JOBS_PATH),
+  maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5,
+  baseDelayMs = 5000,
+  maxDelayMs = 10 * 60 * 1000,
+  pollIntervalMs = 5000
+} = {}) {
+  const handlers = new Map();
+  let processing = false;
+  let pollTimer = null;
+
+  // Exponential backoff with jitter, same shape as fetchWithRetry in server.js
+  function backoffDelay(attempts) {
+    const delay = Math.min(baseDelayMs * Math.pow(2, attempts - 1), maxDelayMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  async function save(job) {
+    job.updatedAt = new Date().toISOString();
+    await backend.set(job.id, job);
+    return job;
+  }
+
+  // Register a handler for a job type
+  // handler(payload, job) does the work; onDeadLetter(job, error) runs once all attempts failed
+  function register(type, handler, { onDeadLetter } = {}) {
+    handlers.set(type, { handler, onDeadLetter });
+  }
+
+  // Persist a new job and kick off processing
+  async function enqueue(type, payload) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts,
+      nextRunAt: now,
+      lastError: null,
+      createdAt: now
+    };
+    await save(job);
+    console.log(`Enqueued ${type} job ${job.id}`);
+    setImmediate(processDueJobs);
+    return job;
+  }
+
+  async function runJob(job) {
+    const registration = handlers.get(job.type);
+    if (!registration) {
+      console.error(`No handler registered for job type ${job.type}, leaving job ${job.id} pending`);
+      return;
+    }
+
+    job.status = 'running';
+    job.attempts += 1;
+    await save(job);
+
+    try {
+      console.log(`Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+      await registration.handler(job.payload, job);
+      await backend.delete(job.id);
+      console.log(`Job ${job.id} completed`);
+    } catch (error) {
+      job.lastError = error.response?.data?.message || error.message;
+
+      if (job.attempts >= job.maxAttempts) {
+        job.status = 'dead';
+        await save(job);
+        console.error(`Job ${job.id} failed permanently after ${job.attempts} attempts:`, job.lastError);
+
+        if (registration.onDeadLetter) {
+          try {
+            await registration.onDeadLetter(job, error);
+          } catch (hookError) {
+            console.error(`Error in dead-letter handler for job ${job.id}:`, hookError.message);
+          }
+        }
+      } else {
+        const delay = backoffDelay(job.attempts);
+        job.status = 'pending';
+        job.nextRunAt = new Date(Date.now() + delay).toISOString();
+        await save(job);
+        console.log(`Job ${job.id} failed (${job.lastError}), retrying in ${delay}ms`);
+      }
+    }
+  }
+
+  // Run every pending job that is due, one at a time
+  async function processDueJobs() {
+    if (processing) return;
+    processing = true;
+
+    try {
+      const jobs = await backend.list();
+      const dueJobs = jobs
+        .filter(job => job.status === 'pending' && new Date(job.nextRunAt).getTime() <= Date.now())
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+      for (const job of dueJobs) {
+        await runJob(job);
+      }
+    } catch (error) {
+      console.error('Error processing job queue:', error.message);
+    } finally {
+      processing = false;
+    }
+  }
+
+  // Resume jobs left over from a previous run and start polling for due jobs
+  async function start() {
+    const jobs = await backend.list();
+
+    // Jobs that were running when the process stopped are picked up again
+    const interrupted = jobs.filter(job => job.status === 'running');
+    for (const job of interrupted) {
+      job.status = 'pending';
+      job.nextRunAt = new Date().toISOString();
+      await save(job);
+    }
+
+    const pendingCount = jobs.filter(job => job.status === 'pending').length;
+    console.log(`Job queue started: ${pendingCount} pending job(s), ${interrupted.length} resumed after interruption`);
+
+    pollTimer = setInterval(processDueJobs, pollIntervalMs);
+    pollTimer.unref();
+    await processDueJobs();
+  }
+
+  function stop() {
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  }
+
+  // Get a job that is still in the queue (pending, running or dead), or null once it completed
+  async function get(jobId) {
+    if (!jobId) return null;
+    return backend.get(jobId);
+  }
+
+  // List the dead-letter jobs
+  async function listFailed() {
+    const jobs = await backend.list();
+    return jobs.filter(job => job.status === 'dead');
+  }
+
+  // Re-run a dead-letter job from scratch; returns null if the job does not exist or has not failed
+  async function retry(jobId) {
+    const job = await backend.get(jobId);
+    if (!job || job.status !== 'dead') {
+      return null;
+    }
+
+    job.status = 'pending';
+    job.attempts = 0;
+    job.nextRunAt = new Date().toISOString();
+    await save(job);
+    console.log(`Re-queued failed job ${job.id}`);
+    setImmediate(processDueJobs);
+    return job;
+  }
+
+  return {
+    register,
+    enqueue,
+    start,
+    stop,
+    get,
+    listFailed,
+    retry
+  };
+}
+
+// Shared queue used by the server
+const jobQueue = createJobQueue();
+
+module.exports = {
+  jobQueue,
+  createJobQueue
+};
@@ -0,0 +1,47 @@
+const { createJobQueue } = require('./job-queue');
+const { createMemoryBackend } = require('./ticket-store');
+
+describe('job queue', () => {
+  let queue;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    queue = createJobQueue({ backend: createMemoryBackend(), maxAttempts: 1 });
+  });
+
+  afterEach(() => {
+    queue.stop();
+    jest.restoreAllMocks();
+  });
+
+  // Helper function to wait until the queue has run the jobs queued so far
+  function waitForJobs() {
+    return new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  test('a job can be looked up until it completes', async () => {
+    let finishJob;
+    queue.register('slow', () => new Promise(resolve => { finishJob = resolve; }));
+
+    const job = await queue.enqueue('slow', {});
+    expect((await queue.get(job.id)).status).toMatch(/pending|running/);
+
+    await waitForJobs();
+    finishJob();
+    await waitForJobs();
+    expect(await queue.get(job.id)).toBeNull();
+  });
+
+  test('a job that failed permanently stays in the queue as dead', async () => {
+    queue.register('broken', async () => {
+      throw new Error('Freshdesk is down');
+    });
+
+    const job = await queue.enqueue('broken', {});
+    await waitForJobs();
+
+    expect(await queue.get(job.id)).toMatchObject({ status: 'dead', lastError: 'Freshdesk is down' });
+    expect(await queue.listFailed()).toHaveLength(1);
+  });
+});
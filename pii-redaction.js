@@ -0,0 +1,227 @@
+// Redaction of personal data in transcripts and descriptions before they are sent to Freshdesk
+//
+// PII_REDACTION=false turns redaction off (it is on by default).
+// PII_REDACTION_DETECTORS picks the built-in detectors, comma separated (default all of them):
+//   card (card numbers passing the Luhn check), iban (IBANs passing the mod-97 check),
+//   phone (with an international prefix or a typical grouping), email,
+//   api_key (API-key-like strings such as sk_live_..., AKIA..., ghp_... or long random tokens without hyphens)
+// PII_REDACTION_RULES adds custom rules as a JSON array, e.g.
+//   [{ "name": "passport", "pattern": "\\b[A-Z]\\d{7}\\b", "flags": "i" }]
+// Every match is replaced with [REDACTED <NAME>], e.g. [REDACTED CARD].
+
+// Helper function to check a card number with the Luhn algorithm
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Helper function to check an IBAN with the ISO 13616 mod-97 check
+function passesIbanCheck(value) {
+  const iban = value.replace(/\s+/g, '').toUpperCase();
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  const numeric = rearranged.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + parseInt(digit, 10)) % 97;
+  }
+  return remainder === 1;
+}
+
+// Known API key formats (Stripe, AWS, GitHub, Slack and Google), redacted whatever they look like
+const KNOWN_API_KEY_PREFIX = /^(?:(?:sk|pk|rk)_(?:live|test)_|AKIA|gh[pousr]_|xox[abpors]-|AIza)/;
+
+// Helper function to check that a long token looks random rather than like an ID or a hash:
+// letters and digits, and more than 4.2 bits of entropy per character (hex, e.g. UUIDs, has at most 4)
+function isHighEntropyToken(value) {
+  if (!/\d/.test(value) || !/[A-Za-z]/.test(value)) return false;
+  const counts = {};
+  for (const char of value) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  const entropy = Object.values(counts)
+    .reduce((sum, count) => sum - (count / value.length) * Math.log2(count / value.length), 0);
+  return entropy > 4.2;
+}
+
+// Helper function to check that digits are written like a phone number (8 to 15 digits, not a date):
+// with an international prefix (+44 20 7946 0958, 0044 ...), a national trunk prefix or area code
+// in parentheses and separated groups (020 7946 0958, (555) 123-4567), or as 555-123-4567
+function looksLikePhoneNumber(match) {
+  const digitCount = match.replace(/\D/g, '').length;
+  if (digitCount < 8 || digitCount > 15) return false;
+  if (/^(\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4})\b/.test(match)) return false;
+  if (/^(\+|00)/.test(match)) return true;
+  if (/^(0|\()/.test(match) && /\d[\s().-]+\d/.test(match)) return true;
+  return /^\d{3}([-. ])\d{3}\1\d{4}$/.test(match);
+}
+
+// Built-in detectors, applied in this order (keys and emails first, so their digits aren't taken for phone numbers)
+const DETECTORS = {
+  api_key: {
+    label: 'API key',
+    pattern: /\b(?:(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abpors]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})\b|(?<![\w-])[A-Za-z0-9_]{32,}(?![\w-])/g,
+    validate: match => KNOWN_API_KEY_PREFIX.test(match) || isHighEntropyToken(match)
+  },
+  email: {
+    label: 'email address',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  iban: {
+    label: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    validate: passesIbanCheck
+  },
+  card: {
+    label: 'card number',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: match => passesLuhn(match.replace(/\D/g, ''))
+  },
+  phone: {
+    label: 'phone number',
+    // Not right after a letter, digit, hyphen or slash, so parts of references like INV-2024-000123 are left alone
+    pattern: /(?<![\w+(/-])(?:\+|00)?\(?\d[\d\s().-]{6,}\d\b/g,
+    validate: looksLikePhoneNumber
+  }
+};
+
+// Helper function to read the custom rules from PII_REDACTION_RULES, skipping invalid ones
+function loadCustomRules() {
+  if (!process.env.PII_REDACTION_RULES) {
+    return [];
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(process.env.PII_REDACTION_RULES);
+  } catch (error) {
+    console.error('PII_REDACTION_RULES is not valid JSON:', error.message);
+    return [];
+  }
+
+  return (Array.isArray(rules) ? rules : []).flatMap(rule => {
+    if (!rule || !rule.name || !rule.pattern) {
+      console.error('Skipping PII redaction rule without a name or pattern:', rule);
+      return [];
+    }
+    try {
+      const flags = String(rule.flags || '').replace(/g/g, '') + 'g';
+      return [{ name: String(rule.name), label: String(rule.name), pattern: new RegExp(rule.pattern, flags) }];
+    } catch (error) {
+      console.error(`Skipping invalid PII redaction rule ${rule.name}:`, error.message);
+      return [];
+    }
+  });
+}
+
+// Create a redactor for one ticket, or null when redaction is turned off
+// The redactor counts what it redacted, so the count can be reported afterwards
+function createRedactor() {
+  if (process.env.PII_REDACTION === 'false') {
+    return null;
+  }
+
+  const enabled = process.env.PII_REDACTION_DETECTORS
+    ? process.env.PII_REDACTION_DETECTORS.split(',').map(name => name.trim().toLowerCase())
+    : Object.keys(DETECTORS);
+  const rules = [
+    ...Object.entries(DETECTORS)
+      .filter(([name]) => enabled.includes(name))
+      .map(([name, detector]) => ({ name, ...detector })),
+    ...loadCustomRules()
+  ];
+  const counts = {};
+  const labels = {};
+
+  // Redact plain text
+  function redactText(text) {
+    if (!text) return text;
+    return rules.reduce((result, rule) => result.replace(rule.pattern, match => {
+      if (rule.validate && !rule.validate(match)) {
+        return match;
+      }
+      counts[rule.name] = (counts[rule.name] || 0) + 1;
+      labels[rule.name] = rule.label;
+      return `[REDACTED ${rule.name.toUpperCase()}]`;
+    }), String(text));
+  }
+
+  // Redact the text of an HTML fragment, leaving tags and attributes (e.g. attachment URLs) alone
+  // mailto: and tel: links are dropped, as they repeat the address shown in the (redacted) link text
+  function redactHtml(html) {
+    if (!html) return html;
+    return String(html)
+      .split(/(<[^>]*>)/)
+      .map(segment => (segment.startsWith('<')
+        ? segment.replace(/(["'])(?:mailto|tel):[^"']*\1/gi, '$1#$1')
+        : redactText(segment)))
+      .join('');
+  }
+
+  // Redact a message author: personal data in the name is redacted and the email address is dropped,
+  // as transcripts show the author's name
+  function redactAuthor(author) {
+    if (!author) return author;
+    const { email, ...rest } = author;
+    return rest.name ? { ...rest, name: redactText(rest.name) } : rest;
+  }
+
+  // Redact the message bodies and authors of conversation parts
+  function redactParts(parts) {
+    return (parts || []).map(part => (part ? {
+      ...part,
+      body: redactHtml(part.body),
+      author: redactAuthor(part.author)
+    } : part));
+  }
+
+  // Redact a whole Intercom conversation (its first message with its subject, and all parts)
+  // The result is also what the JSON transcript export contains
+  function redactConversation(conversation) {
+    const parts = conversation.conversation_parts && conversation.conversation_parts.conversation_parts;
+    return {
+      ...conversation,
+      source: conversation.source && {
+        ...conversation.source,
+        subject: redactHtml(conversation.source.subject),
+        body: redactHtml(conversation.source.body),
+        author: redactAuthor(conversation.source.author)
+      },
+      conversation_parts: parts ? { ...conversation.conversation_parts, conversation_parts: redactParts(parts) } : conversation.conversation_parts
+    };
+  }
+
+  // Total number of redacted items so far
+  function total() {
+    return Object.values(counts).reduce((sum, count) => sum + count, 0);
+  }
+
+  // Describe what was redacted, e.g. "3 items redacted (2 card numbers, 1 email address)", or null if nothing was
+  function describe() {
+    if (total() === 0) return null;
+    const details = Object.entries(counts)
+      .map(([name, count]) => `${count} ${labels[name]}${count === 1 ? '' : labels[name].endsWith('s') ? 'es' : 's'}`)
+      .join(', ');
+    return `${total()} item${total() === 1 ? '' : 's'} redacted (${details})`;
+  }
+
+  return {
+    redactText,
+    redactHtml,
+    redactParts,
+    redactConversation,
+    total,
+    describe
+  };
+}
+
+module.exports = {
+  createRedactor
+};
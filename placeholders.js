@@ -0,0 +1,99 @@
+// Placeholder templating for ticket subjects and descriptions
+//
+// Templates use {{path}} placeholders, e.g. {{contact.name}}, {{contact.custom_attributes.plan}},
+// {{conversation.id}}, {{company.name}} or {{admin.name}}, and an optional default after a pipe:
+// {{company.name | no company}}. Missing values render as the default (or nothing).
+//
+// TICKET_SUBJECT_TEMPLATE and TICKET_DESCRIPTION_TEMPLATE configure the default subject and description.
+
+const DEFAULT_SUBJECT_TEMPLATE = 'Conversation from {{contact.name | Contact}}';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*(?:\|\s*([^}]*?)\s*)?\}\}/g;
+
+// Helper function to read a nested value, only following own properties
+function getPath(data, path) {
+  return path.split('.').reduce((value, key) => {
+    if (value === null || value === undefined || typeof value !== 'object') return undefined;
+    return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+  }, data);
+}
+
+// Helper function to make a value safe for a single line of plain text (e.g. a subject)
+// Each run of control characters (line breaks, tabs, ...) becomes a single space
+function escapeText(value, { keepLineBreaks = false } = {}) {
+  let result = '';
+  let inControlRun = false;
+  for (const char of value.replace(/\r\n?/g, '\n')) {
+    const code = char.charCodeAt(0);
+    if (keepLineBreaks && (char === '\n' || char === '\t')) {
+      result += char;
+      inControlRun = false;
+    } else if (code < 32 || code === 127) {
+      if (!inControlRun) result += ' ';
+      inControlRun = true;
+    } else {
+      result += char;
+      inControlRun = false;
+    }
+  }
+  return result;
+}
+
+// Helper function to make a value safe for multi-line plain text (e.g. a description)
+// Line breaks and tabs are kept, other control characters become a space
+function escapeMultilineText(value) {
+  return escapeText(value, { keepLineBreaks: true });
+}
+
+// Render a template with the given data
+// escape is 'text' (single line, control characters removed) or 'multiline' (line breaks kept)
+// The result is plain text: descriptions are turned into HTML when the ticket is sent to Freshdesk
+// Only strings, numbers and booleans are inserted, anything else counts as missing
+function renderTemplate(template, data, { escape = 'text' } = {}) {
+  if (!template) return '';
+  const escapeValue = escape === 'multiline' ? escapeMultilineText : escapeText;
+
+  return String(template).replace(PLACEHOLDER_PATTERN, (match, path, defaultValue = '') => {
+    const value = getPath(data, path);
+    const usable = ['string', 'number', 'boolean'].includes(typeof value) && String(value).trim() !== '';
+    return escapeValue(usable ? String(value).trim() : defaultValue);
+  }).trim();
+}
+
+// Helper function to pick the contact's (first) company from the shapes Intercom uses
+function getCompany(contact) {
+  const companies = contact.companies;
+  if (!companies) return {};
+  const list = Array.isArray(companies) ? companies : (companies.data || companies.companies || []);
+  return list[0] || {};
+}
+
+// Build the data placeholders can use from a Canvas Kit request body
+function buildPlaceholderData(body = {}) {
+  const contact = body.contact || body.customer || {};
+  return {
+    contact,
+    company: body.company || getCompany(contact),
+    conversation: body.conversation || {},
+    admin: body.admin || {}
+  };
+}
+
+// Render the default ticket subject for a Canvas Kit request
+function renderDefaultSubject(body) {
+  return renderTemplate(process.env.TICKET_SUBJECT_TEMPLATE || DEFAULT_SUBJECT_TEMPLATE, buildPlaceholderData(body));
+}
+
+// Render the default ticket description for a Canvas Kit request
+// Returns null when TICKET_DESCRIPTION_TEMPLATE is not configured
+function renderDefaultDescription(body) {
+  if (!process.env.TICKET_DESCRIPTION_TEMPLATE) return null;
+  return renderTemplate(process.env.TICKET_DESCRIPTION_TEMPLATE, buildPlaceholderData(body), { escape: 'multiline' });
+}
+
+module.exports = {
+  renderTemplate,
+  buildPlaceholderData,
+  renderDefaultSubject,
+  renderDefaultDescription
+};
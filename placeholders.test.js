@@ -0,0 +1,22 @@
+const { renderTemplate } = require('./placeholders');
+
+const DATA = {
+  contact: { name: "Jane O'Brien", company: 'AT&T', notes: 'Line one\r\nLine\u0007two' },
+  conversation: { id: 123 }
+};
+
+describe('renderTemplate', () => {
+  test('fills in placeholders and defaults', () => {
+    expect(renderTemplate('{{contact.name}} ({{company.name | no company}}) #{{conversation.id}}', DATA))
+      .toBe("Jane O'Brien (no company) #123");
+  });
+
+  test('keeps subjects on a single line', () => {
+    expect(renderTemplate('Notes: {{contact.notes}}', DATA)).toBe('Notes: Line one Line two');
+  });
+
+  test('renders descriptions as plain text with their line breaks', () => {
+    expect(renderTemplate('From {{contact.name}} at {{contact.company}}\n{{contact.notes}}', DATA, { escape: 'multiline' }))
+      .toBe("From Jane O'Brien at AT&T\nLine one\nLine two");
+  });
+});
@@ -41,29 +41,40 @@ type FreshdeskPriority = {
   value: number;
 };
 
+type FreshdeskGroup = {
+  id: number;
+  name: string;
+  agent_ids: number[];
+};
+
+type FreshdeskAgent = {
+  id: number;
+  name?: string;
+  email?: string;
+};
+
 type TicketResponse = {
   id: number;
   subject: string;
   created_at: string;
+  status_label?: string | null;
+  priority_label?: string | null;
+  assignee_name?: string | null;
+  due_by?: string | null;
+  overdue?: boolean;
 };
 
+// Tickets shown per "Show more" step of the Recent Tickets list
+const RECENT_TICKETS_PAGE_SIZE = 5;
+
+// Customer, conversation and form defaults of the token, from /api/ui-context
 type IntercomContext = {
   customer?: {
     email?: string;
     name?: string;
   };
-  email?: string;
-  name?: string;
   conversation?: {
     id?: string;
-    custom_attributes?: {
-      default_title?: string;
-      default_description?: string;
-    }
-  };
-  custom_attributes?: {
-    default_title?: string;
-    default_description?: string;
   };
   default_title?: string;
   default_description?: string;
@@ -77,57 +88,66 @@ type Canvas = {
   content: CanvasContent;
 };
 
-// Type for the response from canvas initialization
-type InitializeResponse = {
-  canvas: Canvas;
-  intercomContext?: IntercomContext;
-};
+// Short-lived token from /api/ui-token, required by the /api/freshdesk/* endpoints
+let authToken: string | null = null;
 
-// Function to initialize the Intercom Canvas
-const initializeCanvas = async (): Promise<InitializeResponse> => {
-  try {
-    console.log('Initializing canvas...');
-    // Use relative URL to work with both local and ngrok environments
-    const response = await fetch('/api/initialize', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
-      credentials: 'include',
-      body: JSON.stringify({})
-    });
+// Build the Authorization header for authenticated API calls
+const authHeaders = (): Record<string, string> => (
+  authToken ? { 'Authorization': `Bearer ${authToken}` } : {}
+);
 
-    console.log('Response status:', response.status);
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Server error:', errorText);
-      throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
-    }
+// Session storage key of the UI token, so reloading the page keeps working until the token expires
+const AUTH_TOKEN_STORAGE_KEY = 'intercomAppAuthToken';
 
-    const data = await response.json();
-    console.log('Received canvas data:', data);
-    return data;
-  } catch (error) {
-    console.error('Error initializing canvas:', error);
-    // Return a default canvas in case of error
-    return {
-      canvas: {
-        content: {
-          components: [
-            {
-              type: "text",
-              id: "error",
-              text: "Failed to load the app. Please refresh the page or try again later.",
-              align: "center",
-              style: "header",
-            }
-          ]
+// Pending exchange of the launch code, shared so the code is only sent once
+let uiSessionPromise: Promise<void> | null = null;
+
+// Exchange the launch code from the Canvas "Open full form" link (?launch=...) for a UI token
+const startUiSession = (): Promise<void> => {
+  if (!uiSessionPromise) {
+    uiSessionPromise = (async () => {
+      const params = new URLSearchParams(window.location.search);
+      const launchCode = params.get('launch');
+      
+      if (!launchCode) {
+        authToken = sessionStorage.getItem(AUTH_TOKEN_STORAGE_KEY);
+        if (!authToken) {
+          throw new Error('Open this form with the "Open full form" button in the Intercom inbox.');
         }
+        return;
       }
-    };
+      
+      // The code only works once, so keep it out of the address bar and the browser history
+      params.delete('launch');
+      const query = params.toString();
+      window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+      
+      const response = await fetch('/api/ui-token', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ launch_code: launchCode })
+      });
+      if (!response.ok) {
+        throw new Error('This link has expired. Open the form again from the Intercom inbox.');
+      }
+      
+      const data = await response.json();
+      authToken = data.auth_token;
+      sessionStorage.setItem(AUTH_TOKEN_STORAGE_KEY, data.auth_token);
+    })();
+  }
+  return uiSessionPromise;
+};
+
+// Fetch the customer and conversation the UI token was issued for
+const fetchUiContext = async (): Promise<IntercomContext> => {
+  const response = await fetch('/api/ui-context', { headers: authHeaders() });
+  if (!response.ok) {
+    throw new Error('The Intercom context has expired. Open the form again from the Intercom inbox.');
   }
+  return response.json();
 };
 
 // Mock function to simulate form submission
@@ -151,18 +171,23 @@ const submitCanvas = async (componentId: string, inputValues: any): Promise<{ ca
 };
 
 function App() {
-  const [canvas, setCanvas] = useState<Canvas | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [showTicketForm, setShowTicketForm] = useState(false);
   const [ticketCreated, setTicketCreated] = useState(false);
   const [ticketResponse, setTicketResponse] = useState<TicketResponse | null>(null);
   const [recentTickets, setRecentTickets] = useState<TicketResponse[]>([]);
+  const [recentFilter, setRecentFilter] = useState<'all' | 'open'>('all');
+  const [recentLimit, setRecentLimit] = useState(RECENT_TICKETS_PAGE_SIZE);
+  const [hasMoreTickets, setHasMoreTickets] = useState(false);
   
   // Freshdesk data states
   const [mailboxes, setMailboxes] = useState<FreshdeskMailbox[]>([]);
   const [statuses, setStatuses] = useState<FreshdeskStatus[]>([]);
   const [priorities, setPriorities] = useState<FreshdeskPriority[]>([]);
+  const [groups, setGroups] = useState<FreshdeskGroup[]>([]);
+  const [agents, setAgents] = useState<FreshdeskAgent[]>([]);
+  const [ticketTypes, setTicketTypes] = useState<string[]>([]);
   const [intercomContext, setIntercomContext] = useState<IntercomContext>({});
   const [isDataLoaded, setIsDataLoaded] = useState(false);
   
@@ -173,39 +198,45 @@ function App() {
   const [selectedMailbox, setSelectedMailbox] = useState<number | null>(null);
   const [selectedStatus, setSelectedStatus] = useState<number | null>(null);
   const [selectedPriority, setSelectedPriority] = useState<number | null>(null);
+  const [selectedGroup, setSelectedGroup] = useState<number | null>(null);
+  const [selectedAgent, setSelectedAgent] = useState<number | null>(null);
+  const [selectedType, setSelectedType] = useState('');
 
-  // Initialize the canvas when the component mounts
+  // Start the UI session and load the Intercom context when the component mounts
   useEffect(() => {
     const init = async () => {
       try {
-        // Get data from Intercom via initialization endpoint
-        const data = await initializeCanvas();
-        setCanvas(data.canvas);
+        await startUiSession();
+      } catch (err: any) {
+        setError(err.message);
+        setIsLoading(false);
+        return;
+      }
+      
+      try {
+        // Get the customer and conversation of the token
+        const context = await fetchUiContext();
+        setIntercomContext(context);
         
-        // Store Intercom context if available
-        if (data.intercomContext) {
-          setIntercomContext(data.intercomContext);
-          
-          // Auto-populate email if available
-          if (data.intercomContext.customer?.email) {
-            setEmail(data.intercomContext.customer.email);
-          }
-          
-          // Auto-populate subject and description if available
-          if (data.intercomContext.conversation?.custom_attributes) {
-            const attrs = data.intercomContext.conversation.custom_attributes;
-            if (attrs.default_title) {
-              setSubject(attrs.default_title);
-            }
-            if (attrs.default_description) {
-              setDescription(attrs.default_description);
-            }
-          }
+        // Auto-populate email if available
+        if (context.customer?.email) {
+          setEmail(context.customer.email);
+        }
+        
+        // Auto-populate subject and description rendered by the server from the configured templates
+        if (context.default_title) {
+          setSubject(context.default_title);
+        }
+        if (context.default_description) {
+          setDescription(context.default_description);
         }
         
-        // Fetch Freshdesk data (mailboxes, statuses, priorities)
+        // Fetch Freshdesk data (mailboxes, statuses, priorities, groups, agents, ticket types)
         await fetchFreshdeskData();
         
+        // Fetch the customer's recent tickets
+        await fetchRecentTickets(RECENT_TICKETS_PAGE_SIZE, 'all');
+        
         setIsLoading(false);
       } catch (err) {
         setError('Failed to load the app. Please try again later.');
@@ -227,23 +258,41 @@ function App() {
       setIsDataLoaded(false);
       
       // Fetch mailboxes
-      const mailboxesResponse = await fetch(`${API_BASE_URL}/api/freshdesk/mailboxes`);
+      const mailboxesResponse = await fetch(`${API_BASE_URL}/api/freshdesk/mailboxes`, { headers: authHeaders() });
       if (!mailboxesResponse.ok) throw new Error('Failed to fetch mailboxes');
       const mailboxesData = await mailboxesResponse.json();
       setMailboxes(mailboxesData);
       
       // Fetch statuses
-      const statusesResponse = await fetch(`${API_BASE_URL}/api/freshdesk/statuses`);
+      const statusesResponse = await fetch(`${API_BASE_URL}/api/freshdesk/statuses`, { headers: authHeaders() });
       if (!statusesResponse.ok) throw new Error('Failed to fetch statuses');
       const statusesData = await statusesResponse.json();
       setStatuses(statusesData);
       
       // Fetch priorities
-      const prioritiesResponse = await fetch(`${API_BASE_URL}/api/freshdesk/priorities`);
+      const prioritiesResponse = await fetch(`${API_BASE_URL}/api/freshdesk/priorities`, { headers: authHeaders() });
       if (!prioritiesResponse.ok) throw new Error('Failed to fetch priorities');
       const prioritiesData = await prioritiesResponse.json();
       setPriorities(prioritiesData);
       
+      // Fetch groups
+      const groupsResponse = await fetch(`${API_BASE_URL}/api/freshdesk/groups`, { headers: authHeaders() });
+      if (!groupsResponse.ok) throw new Error('Failed to fetch groups');
+      const groupsData = await groupsResponse.json();
+      setGroups(groupsData);
+      
+      // Fetch agents
+      const agentsResponse = await fetch(`${API_BASE_URL}/api/freshdesk/agents`, { headers: authHeaders() });
+      if (!agentsResponse.ok) throw new Error('Failed to fetch agents');
+      const agentsData = await agentsResponse.json();
+      setAgents(agentsData);
+      
+      // Fetch ticket types
+      const ticketTypesResponse = await fetch(`${API_BASE_URL}/api/freshdesk/ticket-types`, { headers: authHeaders() });
+      if (!ticketTypesResponse.ok) throw new Error('Failed to fetch ticket types');
+      const ticketTypesData = await ticketTypesResponse.json();
+      setTicketTypes(ticketTypesData);
+      
       // All data loaded successfully
       setIsDataLoaded(true);
     } catch (error) {
@@ -253,6 +302,40 @@ function App() {
     }
   };
 
+  // Agents that can be assigned for the selected group (every agent if no group is selected)
+  const groupAgents = (() => {
+    const group = groups.find(g => g.id === selectedGroup);
+    return group ? agents.filter(agent => group.agent_ids.includes(agent.id)) : agents;
+  })();
+  
+  // Handle group selection, clearing an agent that is not part of the new group
+  const handleGroupChange = (groupId: number | null) => {
+    setSelectedGroup(groupId);
+    const group = groups.find(g => g.id === groupId);
+    if (group && selectedAgent && !group.agent_ids.includes(selectedAgent)) {
+      setSelectedAgent(null);
+    }
+  };
+
+  // Fetch the customer's recent tickets, asking for one extra ticket to know whether there are more
+  const fetchRecentTickets = async (limit: number, filter: 'all' | 'open') => {
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/api/freshdesk/recent-tickets?limit=${limit + 1}&filter=${filter}`,
+        { headers: authHeaders() }
+      );
+      if (response.ok) {
+        const tickets: TicketResponse[] = await response.json();
+        setRecentTickets(tickets.slice(0, limit));
+        setHasMoreTickets(tickets.length > limit);
+        setRecentLimit(limit);
+        setRecentFilter(filter);
+      }
+    } catch (error) {
+      console.error('Error fetching recent tickets:', error);
+    }
+  };
+
   // Handle form submission
   const handleSubmit = async () => {
     try {
@@ -280,6 +363,10 @@ function App() {
         status: selectedStatus,
         priority: selectedPriority,
         product_id: mailbox.product_id,
+        // Add group, agent and ticket type if selected
+        ...(selectedGroup && { group_id: selectedGroup }),
+        ...(selectedAgent && { responder_id: selectedAgent }),
+        ...(selectedType && { type: selectedType }),
         // Add conversation ID if available
         ...(conversationId && { conversation_id: conversationId.toString() })
       };
@@ -291,6 +378,7 @@ function App() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders()
         },
         body: JSON.stringify(ticketData),
       });
@@ -327,15 +415,7 @@ function App() {
     setError(null);
     
     // Fetch recent tickets from Freshdesk to refresh the list
-    try {
-      const response = await fetch(`${API_BASE_URL}/api/freshdesk/recent-tickets`);
-      if (response.ok) {
-        const tickets = await response.json();
-        setRecentTickets(tickets);
-      }
-    } catch (error) {
-      console.error('Error fetching recent tickets:', error);
-    }
+    await fetchRecentTickets(recentLimit, recentFilter);
   };
 
   // Format date from UTC to readable format
@@ -455,6 +535,51 @@ function App() {
             </select>
           </div>
           
+          <div className="form-field">
+            <label>Group</label>
+            <select 
+              value={selectedGroup || ''} 
+              onChange={(e) => handleGroupChange(e.target.value ? Number(e.target.value) : null)}
+            >
+              <option value="">No group</option>
+              {groups.map(group => (
+                <option key={group.id} value={group.id}>
+                  {group.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          
+          <div className="form-field">
+            <label>Agent</label>
+            <select 
+              value={selectedAgent || ''} 
+              onChange={(e) => setSelectedAgent(e.target.value ? Number(e.target.value) : null)}
+            >
+              <option value="">Unassigned</option>
+              {groupAgents.map(agent => (
+                <option key={agent.id} value={agent.id}>
+                  {agent.name || agent.email}
+                </option>
+              ))}
+            </select>
+          </div>
+          
+          <div className="form-field">
+            <label>Type</label>
+            <select 
+              value={selectedType} 
+              onChange={(e) => setSelectedType(e.target.value)}
+            >
+              <option value="">No type</option>
+              {ticketTypes.map(ticketType => (
+                <option key={ticketType} value={ticketType}>
+                  {ticketType}
+                </option>
+              ))}
+            </select>
+          </div>
+          
           <div className="form-actions">
             <button className="canvas-button primary" onClick={handleSubmit}>Create</button>
             <button className="canvas-button secondary" onClick={handleCancel}>Cancel</button>
@@ -478,17 +603,39 @@ function App() {
         )}
         
         <div className="recent-tickets-section">
-          <div className="ticket-header">Recent Tickets</div>
+          <div className="ticket-header">{recentFilter === 'open' ? 'Open Tickets' : 'Recent Tickets'}</div>
           {recentTickets.length > 0 ? (
             recentTickets.map(ticket => (
-              <div className="ticket-item" key={ticket.id}>
+              <div className={`ticket-item ${ticket.overdue ? 'overdue' : ''}`} key={ticket.id}>
                 <div className="ticket-subject">{ticket.subject}</div>
                 <div className="ticket-details">#{ticket.id} {formatDate(ticket.created_at)}</div>
+                <div className="ticket-details">
+                  {[ticket.status_label, ticket.priority_label, ticket.assignee_name || 'Unassigned'].filter(Boolean).join(' · ')}
+                </div>
+                {ticket.due_by && (
+                  <div className="ticket-details ticket-due">
+                    {ticket.overdue ? 'Overdue - was due' : 'Due'} {formatDate(ticket.due_by)}
+                  </div>
+                )}
               </div>
             ))
           ) : (
-            <div className="no-tickets">No recent tickets</div>
+            <div className="no-tickets">{recentFilter === 'open' ? 'No open tickets' : 'No recent tickets'}</div>
+          )}
+          {hasMoreTickets && (
+            <button
+              className="canvas-button secondary"
+              onClick={() => fetchRecentTickets(recentLimit + RECENT_TICKETS_PAGE_SIZE, recentFilter)}
+            >
+              Show more
+            </button>
           )}
+          <button
+            className="canvas-button secondary"
+            onClick={() => fetchRecentTickets(RECENT_TICKETS_PAGE_SIZE, recentFilter === 'open' ? 'all' : 'open')}
+          >
+            {recentFilter === 'open' ? 'Show all tickets' : 'Show open tickets only'}
+          </button>
         </div>
       </div>
     );
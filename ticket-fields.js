@@ -0,0 +1,306 @@
+// Helpers to turn Freshdesk ticket field definitions (/api/v2/admin/ticket_fields)
+// into Canvas Kit form components and to map submitted values into custom_fields
+
+// Custom field types we know how to render
+const SUPPORTED_FIELD_TYPES = [
+  'custom_text',
+  'custom_paragraph',
+  'custom_number',
+  'custom_decimal',
+  'custom_dropdown',
+  'custom_checkbox',
+  'custom_date',
+  'nested_field'
+];
+
+// Field types whose choices are only returned by the single field endpoint
+const FIELD_TYPES_WITH_CHOICES = ['custom_dropdown', 'nested_field'];
+
+// Separator shown between the levels of a nested field option
+const NESTED_SEPARATOR = ' › ';
+
+// Only custom fields that agents can fill in are shown in the form
+function getCustomFieldDefinitions(fields) {
+  return (fields || [])
+    .filter(field => SUPPORTED_FIELD_TYPES.includes(field.type))
+    .filter(field => field.displayed_to_agents !== false)
+    .sort((a, b) => (a.position || 0) - (b.position || 0));
+}
+
+// Helper function to check whether a field needs its choices fetched separately
+function needsChoices(field) {
+  return FIELD_TYPES_WITH_CHOICES.includes(field.type) && !Array.isArray(field.choices);
+}
+
+// Helper function to read the label of a choice (the API uses either label or value)
+function choiceLabel(choice) {
+  return choice.label || choice.value;
+}
+
+// Helper function to read the value of a choice sent back to Freshdesk
+function choiceValue(choice) {
+  return choice.value !== undefined ? choice.value : choice.label;
+}
+
+// Flatten the choices of a nested field into every complete path, e.g. Hardware › Laptop › Battery
+// Each path becomes a single option so the selected levels always belong together
+function getNestedPaths(choices, parents = [], ids = []) {
+  const paths = [];
+
+  (choices || []).forEach((choice, index) => {
+    const levels = [...parents, choice];
+    const levelIds = [...ids, index];
+    if (choice.choices && choice.choices.length > 0) {
+      paths.push(...getNestedPaths(choice.choices, levels, levelIds));
+    } else {
+      paths.push({
+        id: `path_${levelIds.join('_')}`,
+        text: levels.map(choiceLabel).join(NESTED_SEPARATOR),
+        values: levels.map(choiceValue)
+      });
+    }
+  });
+
+  return paths;
+}
+
+// Helper function to read a submitted value as a trimmed string
+function readInput(inputValues, id) {
+  const value = inputValues[id];
+  if (value === undefined || value === null) return '';
+  return Array.isArray(value) ? value.join(',') : String(value).trim();
+}
+
+// Build the Canvas components for the custom fields
+// values holds the component values to show (e.g. previously submitted input_values)
+// errors maps field names to inline error messages
+function buildCustomFieldComponents(fields, values = {}, errors = {}) {
+  return getCustomFieldDefinitions(fields).map(field => {
+    const label = `${field.label_for_agents || field.label || field.name}${field.required_for_agents ? ' *' : ''}`;
+    const base = {
+      id: field.name,
+      label
+    };
+    if (errors[field.name]) {
+      base.error = errors[field.name];
+    }
+
+    switch (field.type) {
+      case 'custom_paragraph':
+        return {
+          ...base,
+          type: 'textarea',
+          value: readInput(values, field.name)
+        };
+
+      case 'custom_number':
+      case 'custom_decimal':
+        return {
+          ...base,
+          type: 'input',
+          placeholder: field.type === 'custom_number' ? 'Enter a whole number' : 'Enter a number',
+          value: readInput(values, field.name)
+        };
+
+      case 'custom_date':
+        return {
+          ...base,
+          type: 'input',
+          placeholder: 'YYYY-MM-DD',
+          value: readInput(values, field.name)
+        };
+
+      case 'custom_checkbox': {
+        const checked = Array.isArray(values[field.name]) ? values[field.name] : [];
+        return {
+          ...base,
+          type: 'checkbox',
+          options: [
+            {
+              type: 'option',
+              id: `${field.name}_checked`,
+              text: 'Yes'
+            }
+          ],
+          value: checked
+        };
+      }
+
+      case 'custom_dropdown':
+        return {
+          ...base,
+          type: 'dropdown',
+          value: readInput(values, field.name) || undefined,
+          options: (field.choices || []).map((choice, index) => ({
+            type: 'option',
+            id: `opt_${index}`,
+            text: choiceLabel(choice)
+          }))
+        };
+
+      case 'nested_field':
+        return {
+          ...base,
+          type: 'dropdown',
+          value: readInput(values, field.name) || undefined,
+          options: getNestedPaths(field.choices).map(nestedPath => ({
+            type: 'option',
+            id: nestedPath.id,
+            text: nestedPath.text
+          }))
+        };
+
+      default:
+        return {
+          ...base,
+          type: 'input',
+          value: readInput(values, field.name)
+        };
+    }
+  });
+}
+
+// Map submitted Canvas values into the custom_fields object Freshdesk expects
+// Returns { customFields, errors } where errors maps field names to messages
+function mapCustomFieldValues(fields, inputValues = {}) {
+  const customFields = {};
+  const errors = {};
+
+  getCustomFieldDefinitions(fields).forEach(field => {
+    const label = field.label_for_agents || field.label || field.name;
+    const raw = readInput(inputValues, field.name);
+
+    if (field.type === 'custom_checkbox') {
+      const checked = Array.isArray(inputValues[field.name]) && inputValues[field.name].length > 0;
+      if (field.required_for_agents && !checked) {
+        errors[field.name] = `${label} is required`;
+      }
+      customFields[field.name] = checked;
+      return;
+    }
+
+    if (!raw) {
+      if (field.required_for_agents) {
+        errors[field.name] = `${label} is required`;
+      }
+      return;
+    }
+
+    switch (field.type) {
+      case 'custom_number': {
+        if (!/^-?\d+$/.test(raw)) {
+          errors[field.name] = `${label} must be a whole number`;
+          return;
+        }
+        customFields[field.name] = parseInt(raw, 10);
+        return;
+      }
+
+      case 'custom_decimal': {
+        const number = Number(raw);
+        if (!Number.isFinite(number)) {
+          errors[field.name] = `${label} must be a number`;
+          return;
+        }
+        customFields[field.name] = number;
+        return;
+      }
+
+      case 'custom_date': {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(raw) || Number.isNaN(new Date(`${raw}T00:00:00Z`).getTime())) {
+          errors[field.name] = `${label} must be a date in the format YYYY-MM-DD`;
+          return;
+        }
+        customFields[field.name] = raw;
+        return;
+      }
+
+      case 'custom_dropdown': {
+        const index = parseInt(raw.replace('opt_', ''), 10);
+        const choice = (field.choices || [])[index];
+        if (!choice) {
+          errors[field.name] = `Choose a valid option for ${label}`;
+          return;
+        }
+        customFields[field.name] = choiceValue(choice);
+        return;
+      }
+
+      case 'nested_field': {
+        const nestedPath = getNestedPaths(field.choices).find(candidate => candidate.id === raw);
+        if (!nestedPath) {
+          errors[field.name] = `Choose a valid option for ${label}`;
+          return;
+        }
+        // The first level belongs to the field itself, deeper levels to its nested_ticket_fields
+        const levelNames = [field.name, ...(field.nested_ticket_fields || [])
+          .sort((a, b) => (a.level || 0) - (b.level || 0))
+          .map(nestedField => nestedField.name)];
+        nestedPath.values.forEach((value, level) => {
+          if (levelNames[level]) {
+            customFields[levelNames[level]] = value;
+          }
+        });
+        return;
+      }
+
+      default:
+        customFields[field.name] = raw;
+    }
+  });
+
+  return { customFields, errors };
+}
+
+// Turn preset custom_fields values (e.g. from an escalation template) into Canvas component values
+// Dropdowns match a choice by value or label, nested fields by the value of each level (or the last level)
+function getCustomFieldComponentValues(fields, customFields = {}) {
+  const values = {};
+
+  getCustomFieldDefinitions(fields).forEach(field => {
+    const preset = customFields[field.name];
+    if (preset === undefined || preset === null || preset === '') {
+      return;
+    }
+
+    switch (field.type) {
+      case 'custom_checkbox':
+        values[field.name] = preset === true || preset === 'true' ? [`${field.name}_checked`] : [];
+        return;
+
+      case 'custom_dropdown': {
+        const index = (field.choices || []).findIndex(choice => choiceValue(choice) === preset || choiceLabel(choice) === preset);
+        if (index !== -1) {
+          values[field.name] = `opt_${index}`;
+        }
+        return;
+      }
+
+      case 'nested_field': {
+        const levels = Array.isArray(preset) ? preset.map(String) : [String(preset)];
+        const nestedPath = getNestedPaths(field.choices).find(candidate =>
+          levels.length === 1
+            ? candidate.values[candidate.values.length - 1] === levels[0]
+            : candidate.values.join('\u0000') === levels.join('\u0000')
+        );
+        if (nestedPath) {
+          values[field.name] = nestedPath.id;
+        }
+        return;
+      }
+
+      default:
+        values[field.name] = String(preset);
+    }
+  });
+
+  return values;
+}
+
+module.exports = {
+  getCustomFieldDefinitions,
+  needsChoices,
+  buildCustomFieldComponents,
+  mapCustomFieldValues,
+  getCustomFieldComponentValues
+};
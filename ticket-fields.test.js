@@ -0,0 +1,148 @@
+const { mapCustomFieldValues } = require('./ticket-fields');
+
+// Helper function to build a custom field definition as returned by /api/v2/admin/ticket_fields
+function field(name, type, extra = {}) {
+  return { name, type, label_for_agents: name, displayed_to_agents: true, ...extra };
+}
+
+// Hardware › Laptop › Battery, Hardware › Monitor and Software (a single level)
+const NESTED_FIELD = field('cf_category', 'nested_field', {
+  choices: [
+    {
+      value: 'Hardware',
+      choices: [
+        { value: 'Laptop', choices: [{ value: 'Battery' }] },
+        { value: 'Monitor' }
+      ]
+    },
+    { value: 'Software' }
+  ],
+  nested_ticket_fields: [
+    { name: 'cf_item', level: 3 },
+    { name: 'cf_subcategory', level: 2 }
+  ]
+});
+
+describe('mapCustomFieldValues', () => {
+  test('keeps text values and leaves out empty optional fields', () => {
+    const fields = [field('cf_order', 'custom_text'), field('cf_notes', 'custom_paragraph')];
+
+    expect(mapCustomFieldValues(fields, { cf_order: '  A-123 ', cf_notes: '' })).toEqual({
+      customFields: { cf_order: 'A-123' },
+      errors: {}
+    });
+  });
+
+  test('reports empty required fields', () => {
+    const fields = [field('cf_order', 'custom_text', { required_for_agents: true })];
+
+    const { customFields, errors } = mapCustomFieldValues(fields, { cf_order: '   ' });
+    expect(customFields).toEqual({});
+    expect(errors).toEqual({ cf_order: 'cf_order is required' });
+  });
+
+  test('only maps fields agents can fill in', () => {
+    const fields = [
+      field('cf_hidden', 'custom_text', { displayed_to_agents: false, required_for_agents: true }),
+      field('cf_unknown', 'custom_lookup', { required_for_agents: true })
+    ];
+
+    expect(mapCustomFieldValues(fields, { cf_hidden: 'x', cf_unknown: 'y' })).toEqual({ customFields: {}, errors: {} });
+  });
+
+  describe('numbers', () => {
+    const fields = [field('cf_count', 'custom_number'), field('cf_amount', 'custom_decimal')];
+
+    test('parses whole and decimal numbers', () => {
+      expect(mapCustomFieldValues(fields, { cf_count: '-7', cf_amount: '12.50' }).customFields).toEqual({
+        cf_count: -7,
+        cf_amount: 12.5
+      });
+    });
+
+    test('rejects values that are not numbers', () => {
+      const { customFields, errors } = mapCustomFieldValues(fields, { cf_count: '4.2', cf_amount: 'twelve' });
+      expect(customFields).toEqual({});
+      expect(errors).toEqual({
+        cf_count: 'cf_count must be a whole number',
+        cf_amount: 'cf_amount must be a number'
+      });
+    });
+  });
+
+  describe('dates', () => {
+    const fields = [field('cf_due', 'custom_date')];
+
+    test('accepts YYYY-MM-DD', () => {
+      expect(mapCustomFieldValues(fields, { cf_due: '2026-10-19' }).customFields).toEqual({ cf_due: '2026-10-19' });
+    });
+
+    test.each(['19/10/2026', '2026-10-19T10:00', '2026-13-45'])('rejects %s', value => {
+      expect(mapCustomFieldValues(fields, { cf_due: value }).errors).toEqual({
+        cf_due: 'cf_due must be a date in the format YYYY-MM-DD'
+      });
+    });
+  });
+
+  describe('checkboxes', () => {
+    test('map to true or false', () => {
+      const fields = [field('cf_vip', 'custom_checkbox'), field('cf_urgent', 'custom_checkbox')];
+
+      expect(mapCustomFieldValues(fields, { cf_vip: ['cf_vip_checked'], cf_urgent: [] })).toEqual({
+        customFields: { cf_vip: true, cf_urgent: false },
+        errors: {}
+      });
+    });
+
+    test('must be checked when required', () => {
+      const fields = [field('cf_consent', 'custom_checkbox', { required_for_agents: true })];
+
+      expect(mapCustomFieldValues(fields, {})).toEqual({
+        customFields: { cf_consent: false },
+        errors: { cf_consent: 'cf_consent is required' }
+      });
+      expect(mapCustomFieldValues(fields, { cf_consent: ['cf_consent_checked'] }).errors).toEqual({});
+    });
+  });
+
+  describe('dropdowns', () => {
+    const fields = [field('cf_plan', 'custom_dropdown', { choices: [{ label: 'Free', value: 'free' }, { label: 'Pro' }] })];
+
+    test('send the value of the chosen option, or its label when it has no value', () => {
+      expect(mapCustomFieldValues(fields, { cf_plan: 'opt_0' }).customFields).toEqual({ cf_plan: 'free' });
+      expect(mapCustomFieldValues(fields, { cf_plan: 'opt_1' }).customFields).toEqual({ cf_plan: 'Pro' });
+    });
+
+    test('reject unknown options', () => {
+      expect(mapCustomFieldValues(fields, { cf_plan: 'opt_5' }).errors).toEqual({ cf_plan: 'Choose a valid option for cf_plan' });
+    });
+  });
+
+  describe('nested fields', () => {
+    test('spread a full path over the field and its nested fields by level', () => {
+      expect(mapCustomFieldValues([NESTED_FIELD], { cf_category: 'path_0_0_0' }).customFields).toEqual({
+        cf_category: 'Hardware',
+        cf_subcategory: 'Laptop',
+        cf_item: 'Battery'
+      });
+    });
+
+    test('only set the levels of shorter paths', () => {
+      expect(mapCustomFieldValues([NESTED_FIELD], { cf_category: 'path_0_1' }).customFields).toEqual({
+        cf_category: 'Hardware',
+        cf_subcategory: 'Monitor'
+      });
+      expect(mapCustomFieldValues([NESTED_FIELD], { cf_category: 'path_1' }).customFields).toEqual({
+        cf_category: 'Software'
+      });
+    });
+
+    test('reject paths that are not complete', () => {
+      // path_0_0 stops at Laptop, which has deeper choices
+      expect(mapCustomFieldValues([NESTED_FIELD], { cf_category: 'path_0_0' })).toEqual({
+        customFields: {},
+        errors: { cf_category: 'Choose a valid option for cf_category' }
+      });
+    });
+  });
+});
@@ -0,0 +1,35 @@
+// Labels and checks for the default Freshdesk ticket statuses and priorities
+
+const FRESHDESK_STATUS_LABELS = {
+  2: 'Open',
+  3: 'Pending',
+  4: 'Resolved',
+  5: 'Closed'
+};
+
+const FRESHDESK_PRIORITY_LABELS = {
+  1: 'Low',
+  2: 'Medium',
+  3: 'High',
+  4: 'Urgent'
+};
+
+// Statuses that count as "still open" (Open, Pending)
+const OPEN_TICKET_STATUSES = [2, 3];
+
+// Helper function to check whether a ticket is still open
+function isOpenTicket(ticket) {
+  return OPEN_TICKET_STATUSES.includes(ticket.status);
+}
+
+// Helper function to check whether an open ticket is past its due-by time
+function isTicketOverdue(ticket, now = Date.now()) {
+  return isOpenTicket(ticket) && Boolean(ticket.due_by) && new Date(ticket.due_by).getTime() < now;
+}
+
+module.exports = {
+  FRESHDESK_STATUS_LABELS,
+  FRESHDESK_PRIORITY_LABELS,
+  isOpenTicket,
+  isTicketOverdue
+};
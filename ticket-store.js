@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+
+// Persistent store for escalations (Intercom conversation -> Freshdesk ticket)
+//
+// Each record is keyed by Intercom conversation ID and looks like:
+// {
+//   conversationId, ticketId, status: 'in_progress' | 'created' | 'linked' | 'failed',
+//   action: 'create' | 'link', error, adminId, email, createdAt, updatedAt,
+//   previousTicketIds (tickets the conversation had before another one was created with "Create anyway")
+// }
+//
+// Backends implement async get(key), set(key, value), delete(key) and list().
+// TICKET_STORE_BACKEND selects the backend ('json' by default, or 'memory').
+
+const DEFAULT_JSON_PATH = path.join(__dirname, 'data', 'escalations.json');
+
+// In-memory backend - useful for local development, loses everything on restart
+function createMemoryBackend() {
+  const records = new Map();
+
+  return {
+    async get(key) {
+      return records.get(key) || null;
+    },
+    async set(key, value) {
+      records.set(key, value);
+    },
+    async delete(key) {
+      records.delete(key);
+    },
+    async list() {
+      return Array.from(records.values());
+    }
+  };
+}
+
+// JSON file backend - keeps records in memory and rewrites the file on every change
+function createJsonFileBackend(filePath = DEFAULT_JSON_PATH) {
+  let records = null;
+  // Writes are chained so concurrent updates never interleave on disk
+  let writeChain = Promise.resolve();
+
+  async function load() {
+    if (records) {
+      return records;
+    }
+
+    try {
+      const contents = await fs.promises.readFile(filePath, 'utf8');
+      records = JSON.parse(contents);
+      console.log(`Loaded ${Object.keys(records).length} records from ${filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading store file ${filePath}:`, error.message);
+      }
+      records = {};
+    }
+    return records;
+  }
+
+  function persist() {
+    const snapshot = JSON.stringify(records, null, 2);
+    writeChain = writeChain
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        // Write to a temporary file first so a crash never leaves a half-written store
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, snapshot);
+        await fs.promises.rename(tempPath, filePath);
+      })
+      .catch(error => {
+        console.error(`Error writing store file ${filePath}:`, error.message);
+      });
+    return writeChain;
+  }
+
+  return {
+    async get(key) {
+      const data = await load();
+      return data[key] || null;
+    },
+    async set(key, value) {
+      const data = await load();
+      data[key] = value;
+      await persist();
+    },
+    async delete(key) {
+      const data = await load();
+      delete data[key];
+      await persist();
+    },
+    async list() {
+      const data = await load();
+      return Object.values(data);
+    }
+  };
+}
+
+// Helper function to pick a backend from the environment
+function createBackendFromEnv() {
+  const backend = (process.env.TICKET_STORE_BACKEND || 'json').toLowerCase();
+
+  if (backend === 'memory') {
+    return createMemoryBackend();
+  }
+  if (backend !== 'json') {
+    console.warn(`Unknown TICKET_STORE_BACKEND "${backend}", falling back to json`);
+  }
+  return createJsonFileBackend(process.env.TICKET_STORE_PATH || DEFAULT_JSON_PATH);
+}
+
+// Helper function to list all Freshdesk tickets of an escalation: the earlier ones and the current one
+function getEscalationTicketIds(record) {
+  if (!record) return [];
+  return [...(record.previousTicketIds || []), ...(record.ticketId ? [record.ticketId] : [])];
+}
+
+// Create an escalation store on top of a backend
+function createTicketStore(backend = createBackendFromEnv()) {
+  // Changes to the same conversation run one after another (the request handler and the job worker
+  // may update it at the same time), so an update never drops the fields of another one
+  const keyLocks = new Map();
+
+  async function withKeyLock(key, change) {
+    const previous = keyLocks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(change);
+    keyLocks.set(key, current);
+    try {
+      return await current;
+    } finally {
+      if (keyLocks.get(key) === current) {
+        keyLocks.delete(key);
+      }
+    }
+  }
+
+  return {
+    // Get the escalation for a conversation, or null if there is none
+    async get(conversationId) {
+      if (!conversationId) return null;
+      return backend.get(conversationId.toString());
+    },
+
+    // Merge fields into the escalation for a conversation, creating it if needed
+    async upsert(conversationId, fields) {
+      const key = conversationId.toString();
+      return withKeyLock(key, async () => {
+        const now = new Date().toISOString();
+        const existing = await backend.get(key);
+        const record = {
+          ...(existing || { conversationId: key, createdAt: now }),
+          ...fields,
+          updatedAt: now
+        };
+        await backend.set(key, record);
+        return record;
+      });
+    },
+
+    // Remove the escalation for a conversation
+    async remove(conversationId) {
+      if (!conversationId) return;
+      const key = conversationId.toString();
+      await withKeyLock(key, () => backend.delete(key));
+    },
+
+    // List all escalations
+    async list() {
+      return backend.list();
+    },
+
+    // Find the escalation linked to a Freshdesk ticket (its current or an earlier one), or null if there is none
+    async findByTicketId(ticketId) {
+      const records = await backend.list();
+      return records.find(record => getEscalationTicketIds(record).some(id => String(id) === String(ticketId))) || null;
+    }
+  };
+}
+
+// Shared store used by the server
+const ticketStore = createTicketStore();
+
+module.exports = {
+  ticketStore,
+  createTicketStore,
+  getEscalationTicketIds,
+  createMemoryBackend,
+  createJsonFileBackend
+};
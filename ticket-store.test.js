@@ -0,0 +1,64 @@
+const { createTicketStore, createMemoryBackend, getEscalationTicketIds } = require('./ticket-store');
+
+describe('ticket store', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createTicketStore(createMemoryBackend());
+  });
+
+  test('finds an escalation by its current and earlier tickets', async () => {
+    await store.upsert('conv-1', { status: 'created', ticketId: 12, previousTicketIds: [10, 11] });
+
+    for (const ticketId of [10, '11', 12]) {
+      expect((await store.findByTicketId(ticketId)).conversationId).toBe('conv-1');
+    }
+    expect(await store.findByTicketId(13)).toBeNull();
+  });
+
+  test('overlapping upserts of a conversation keep each other\'s fields', async () => {
+    // A backend whose reads are slow, so every upsert reads before the others have written
+    const backend = createMemoryBackend();
+    const get = backend.get;
+    backend.get = async key => {
+      const record = await get(key);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return record;
+    };
+    store = createTicketStore(backend);
+
+    await Promise.all([
+      store.upsert('conv-1', { status: 'in_progress', action: 'create' }),
+      store.upsert('conv-1', { jobId: 'job-1' }),
+      store.upsert('conv-1', { failedSubmission: { jobId: 'job-0' } }),
+      store.upsert('conv-2', { status: 'linked', ticketId: 20 })
+    ]);
+
+    expect(await store.get('conv-1')).toMatchObject({
+      status: 'in_progress',
+      action: 'create',
+      jobId: 'job-1',
+      failedSubmission: { jobId: 'job-0' }
+    });
+    expect(await store.get('conv-2')).toMatchObject({ status: 'linked', ticketId: 20 });
+  });
+
+  test('a failed upsert does not hold up the next one', async () => {
+    const backend = createMemoryBackend();
+    const set = backend.set;
+    backend.set = jest.fn()
+      .mockRejectedValueOnce(new Error('Disk full'))
+      .mockImplementation(set);
+    store = createTicketStore(backend);
+
+    await expect(store.upsert('conv-1', { status: 'in_progress' })).rejects.toThrow('Disk full');
+    await store.upsert('conv-1', { status: 'created', ticketId: 12 });
+    expect(await store.get('conv-1')).toMatchObject({ status: 'created', ticketId: 12 });
+  });
+
+  test('lists the tickets of an escalation, the current one last', () => {
+    expect(getEscalationTicketIds(null)).toEqual([]);
+    expect(getEscalationTicketIds({ status: 'in_progress', ticketId: null, previousTicketIds: [10] })).toEqual([10]);
+    expect(getEscalationTicketIds({ status: 'created', ticketId: 12, previousTicketIds: [10] })).toEqual([10, 12]);
+  });
+});
@@ -0,0 +1,98 @@
+// Helpers for the tags, CC emails and watchers of escalated tickets
+//
+// DEFAULT_TICKET_TAGS (comma separated, default "intercom-escalation") are added to every ticket,
+// TICKET_TAG_PRESETS (comma separated) are offered as checkboxes in the Canvas form.
+
+const DEFAULT_TAGS = 'intercom-escalation';
+
+// Loose email check, Freshdesk does the final validation
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Helper function to split a comma separated string (or an array) into trimmed, non-empty values
+function parseList(value) {
+  const values = Array.isArray(value) ? value : String(value || '').split(',');
+  return values
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+// Helper function to combine tag lists without duplicates (case-insensitive, first spelling wins)
+function mergeTags(...tagLists) {
+  const seen = new Set();
+  const tags = [];
+  tagLists.forEach(list => {
+    parseList(list).forEach(tag => {
+      if (!seen.has(tag.toLowerCase())) {
+        seen.add(tag.toLowerCase());
+        tags.push(tag);
+      }
+    });
+  });
+  return tags;
+}
+
+// Tags added to every escalated ticket
+function getDefaultTicketTags() {
+  return parseList(process.env.DEFAULT_TICKET_TAGS !== undefined ? process.env.DEFAULT_TICKET_TAGS : DEFAULT_TAGS);
+}
+
+// Tags offered as presets in the Canvas form
+function getPresetTicketTags() {
+  return parseList(process.env.TICKET_TAG_PRESETS);
+}
+
+// Helper function to return the entries of a list that are not valid email addresses
+function findInvalidEmails(emails) {
+  return parseList(emails).filter(email => !EMAIL_PATTERN.test(email));
+}
+
+// Map the submitted tag, CC and watcher inputs of the Canvas form
+// Watchers are entered as agent email addresses and resolved against the Freshdesk agents
+// Returns { extras: { tags, cc_emails, watcher_ids }, errors } where errors maps component IDs to messages
+function mapTagAndCcValues({ agents = [] }, inputValues = {}) {
+  const errors = {};
+
+  const presetTags = getPresetTicketTags();
+  const chosenPresets = (Array.isArray(inputValues.preset_tags) ? inputValues.preset_tags : [])
+    .map(optionId => presetTags[parseInt(String(optionId).replace('tag_', ''), 10)])
+    .filter(Boolean);
+  const tags = mergeTags(getDefaultTicketTags(), chosenPresets, inputValues.tags);
+
+  const ccEmails = parseList(inputValues.cc_emails);
+  const invalidCcEmails = findInvalidEmails(ccEmails);
+  if (invalidCcEmails.length > 0) {
+    errors.cc_emails = `Invalid email address: ${invalidCcEmails.join(', ')}`;
+  }
+
+  const watcherIds = [];
+  const unknownWatchers = [];
+  parseList(inputValues.watchers).forEach(watcherEmail => {
+    const agent = agents.find(candidate => (candidate.contact?.email || '').toLowerCase() === watcherEmail.toLowerCase());
+    if (agent) {
+      watcherIds.push(agent.id);
+    } else {
+      unknownWatchers.push(watcherEmail);
+    }
+  });
+  if (unknownWatchers.length > 0) {
+    errors.watchers = `No Freshdesk agent found for: ${unknownWatchers.join(', ')}`;
+  }
+
+  return {
+    extras: {
+      tags,
+      cc_emails: ccEmails,
+      watcher_ids: watcherIds
+    },
+    errors
+  };
+}
+
+module.exports = {
+  parseList,
+  mergeTags,
+  getDefaultTicketTags,
+  getPresetTicketTags,
+  findInvalidEmails,
+  mapTagAndCcValues
+};
@@ -0,0 +1,47 @@
+// Server-side checks of the core ticket form fields: email, subject, description and mailbox
+// Custom fields, group/agent/type and tags/CC are checked by their own helpers
+
+const { findInvalidEmails } = require('./ticket-tags');
+
+// Freshdesk doesn't accept longer subjects
+const MAX_SUBJECT_LENGTH = 255;
+
+// Limit for the description typed in the form (the transcript is added after validation)
+const MAX_DESCRIPTION_LENGTH = 20000;
+
+// Validate the submitted ticket form
+// Returns errors mapping component IDs (email, subject, description, product_id) to messages
+function validateTicketFormValues(values = {}) {
+  const errors = {};
+
+  const email = (values.email || '').trim();
+  if (!email) {
+    errors.email = 'Email is required';
+  } else if (findInvalidEmails([email]).length > 0) {
+    errors.email = 'Please enter a valid email address';
+  }
+
+  const subject = (values.subject || '').trim();
+  if (!subject) {
+    errors.subject = 'Subject is required';
+  } else if (subject.length > MAX_SUBJECT_LENGTH) {
+    errors.subject = `Subject must be at most ${MAX_SUBJECT_LENGTH} characters (currently ${subject.length})`;
+  }
+
+  const description = (values.description || '').trim();
+  if (!description) {
+    errors.description = 'Description is required';
+  } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+    errors.description = `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters (currently ${description.length})`;
+  }
+
+  if (!(values.product_id || '').replace('product_', '')) {
+    errors.product_id = 'Choose the email to send from';
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateTicketFormValues
+};
@@ -0,0 +1,332 @@
+const he = require('he'); // For HTML entity encoding/decoding
+const { parseList } = require('./ticket-tags');
+
+// Plain text and Markdown renderings of an Intercom conversation transcript
+//
+// The HTML chat-bubble transcript is built by formatConversationAsHtml in conversation-helper.js.
+// These renderers follow the same rules: authors, IST timestamps, private notes, attachments
+// and inline images (renamed "image 1.png", "image 2.png", ... and uploaded with the ticket).
+//
+// TRANSCRIPT_FORMAT sets the default format ('html', 'text' or 'markdown').
+// TRANSCRIPT_FORMAT_BY_MAILBOX overrides it per mailbox, as comma separated
+// "<product ID or support email>=<format>" pairs, e.g. "billing@example.com=text,12345=markdown".
+// An escalation template can set its own "transcript_format", which wins over both.
+//
+// TRANSCRIPT_AS_ATTACHMENT=true (or a template's "transcript_attachment": true) attaches the transcript
+// as a standalone .html file plus a TRANSCRIPT_EXPORT_FORMAT ('json', the default, or 'txt') export,
+// and keeps only a short summary in the description.
+
+const TRANSCRIPT_FORMATS = ['html', 'text', 'markdown'];
+
+const EXPORT_FORMATS = ['json', 'txt'];
+
+const TIMESTAMP_OPTIONS = {
+  timeZone: 'Asia/Kolkata',
+  year: 'numeric', month: '2-digit', day: '2-digit',
+  hour: '2-digit', minute: '2-digit', hour12: false
+};
+
+// Helper function to extract inline images from HTML content and assign sequential names
+function extractInlineImages(htmlContent, startIndex) {
+  const extractedImages = []; // Stores { url: string, filename: string (sequential) }
+  let currentIndex = startIndex;
+  let modifiedHtml = htmlContent;
+
+  if (!htmlContent || typeof htmlContent !== 'string') {
+    // console.warn('extractInlineImages: htmlContent is null or not a string.');
+    return {
+      modifiedHtml: htmlContent || '', // Return original or empty if null
+      extractedImages: [],
+      nextIndex: startIndex,
+    };
+  }
+
+  // Regex to find <img> tags and capture their src
+  const imgTagRegex = /<img\s+[^>]*src="([^"]+)"[^>]*>/gi;
+
+  const matches = [];
+  let match;
+  while ((match = imgTagRegex.exec(htmlContent)) !== null) {
+    matches.push({
+      fullTag: match[0], // The entire <img> tag
+      url: match[1]      // The URL from src="..."
+    });
+  }
+
+  for (const imgMatch of matches) {
+    let originalUrl = imgMatch.url;
+    originalUrl = he.decode(originalUrl); // Decode HTML entities like &amp;
+
+    let originalFilename = 'image.png'; // Default filename
+    let extension = 'png'; // Default extension
+
+    try {
+      const parsedUrl = new URL(originalUrl);
+      const pathname = parsedUrl.pathname;
+      const filenameFromPath = pathname.substring(pathname.lastIndexOf('/') + 1);
+
+      if (filenameFromPath) {
+        originalFilename = decodeURIComponent(filenameFromPath);
+        const dotIndex = originalFilename.lastIndexOf('.');
+        if (dotIndex !== -1 && dotIndex < originalFilename.length - 1) {
+          extension = originalFilename.substring(dotIndex + 1).toLowerCase();
+        }
+      }
+    } catch (e) {
+      // console.warn(`Could not parse URL to get original filename: ${originalUrl}. Error: ${e.message}`);
+      const filenameMatch = originalUrl.match(/[^/\\&?#]+\.(jpg|jpeg|gif|png|bmp|webp|svg)(?=[?#]|$)/i);
+      if (filenameMatch && filenameMatch[0]) {
+        originalFilename = filenameMatch[0];
+        const dotIndex = originalFilename.lastIndexOf('.');
+        if (dotIndex !== -1 && dotIndex < originalFilename.length - 1) {
+          extension = originalFilename.substring(dotIndex + 1).toLowerCase();
+        }
+      } else {
+        // console.warn(`Fallback filename extraction also failed for URL: ${originalUrl}. Using default 'image.png'.`);
+      }
+    }
+
+    const sequentialFilename = `image ${currentIndex}.${extension}`;
+    const placeholderText = `[Inline image: ${sequentialFilename}]`;
+
+    modifiedHtml = modifiedHtml.replace(imgMatch.fullTag, placeholderText);
+
+    extractedImages.push({
+      url: originalUrl,
+      filename: sequentialFilename,
+    });
+    currentIndex++;
+  }
+
+  return {
+    modifiedHtml: modifiedHtml,
+    extractedImages: extractedImages,
+    nextIndex: currentIndex,
+  };
+}
+
+// Helper function to turn a message body (HTML) into plain text or Markdown
+function htmlToText(html, { markdown = false } = {}) {
+  let text = (html || '').replace(/<br\s*\/?>/gi, '\n');
+
+  if (markdown) {
+    text = text
+      .replace(/<(b|strong)\b[^>]*>([\s\S]*?)<\/\1>/gi, '**$2**')
+      .replace(/<(i|em)\b[^>]*>([\s\S]*?)<\/\1>/gi, '_$2_')
+      .replace(/<code\b[^>]*>([\s\S]*?)<\/code>/gi, '`$1`');
+  }
+
+  text = text.replace(/<a\b[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+    const url = he.decode(href);
+    const linkText = label.replace(/<[^>]+>/g, '');
+    if (markdown) return `[${linkText}](${url})`;
+    return he.decode(linkText) === url ? url : `${linkText} (${url})`;
+  });
+
+  text = text
+    .replace(/<li\b[^>]*>/gi, '- ')
+    .replace(/<\/(p|div|li|h[1-6]|ul|ol|blockquote|pre)>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return he.decode(text)
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Helper function to get the display name of a message author, the same way as the HTML transcript
+function getAuthorName(author) {
+  if (!author) return 'User';
+  if (author.name) return author.name;
+  if (author.email) return author.email.split('@')[0];
+  if (author.type) return author.type.charAt(0).toUpperCase() + author.type.slice(1);
+  return 'User';
+}
+
+// Collect the transcript messages (source first, then the conversation parts) with their attachments
+// Returns { messages: [{ author, time, isNote, body (HTML with inline image placeholders), attachmentNames }], attachments }
+function collectTranscriptMessages(conversation) {
+  const messages = [];
+  const attachments = [];
+  let inlineImageCounter = 1;
+
+  const parts = [
+    conversation.source && { ...conversation.source, created_at: conversation.source.created_at || conversation.created_at },
+    ...((conversation.conversation_parts && conversation.conversation_parts.conversation_parts) || [])
+  ].filter(Boolean);
+
+  for (const part of parts) {
+    let body = part.body || '';
+    const partAttachments = part.attachments || [];
+
+    // Skip parts with no message body and no attachments
+    if (body.trim() === '' && partAttachments.length === 0) {
+      continue;
+    }
+
+    const imageExtraction = extractInlineImages(body, inlineImageCounter);
+    body = imageExtraction.modifiedHtml;
+    inlineImageCounter = imageExtraction.nextIndex;
+    imageExtraction.extractedImages.forEach(img => {
+      attachments.push({
+        url: img.url,
+        name: img.filename,
+        content_type: 'image/' + img.filename.split('.').pop(),
+        type: 'inline_image'
+      });
+    });
+
+    // Image references Intercom leaves in the text can't be resolved
+    body = body.replace(/\[Image:?\s*"?([^"\]]+)"?\]/g, '[Image reference]');
+
+    partAttachments.forEach(attachment => {
+      attachments.push({
+        url: attachment.url,
+        name: attachment.name,
+        content_type: attachment.content_type,
+        type: 'attachment'
+      });
+    });
+
+    messages.push({
+      author: getAuthorName(part.author),
+      time: new Date(part.created_at * 1000).toLocaleString('en-IN', TIMESTAMP_OPTIONS).replace(',', ''),
+      isNote: part.part_type === 'note',
+      body,
+      attachmentNames: partAttachments.map(attachment => attachment.name || 'File')
+    });
+  }
+
+  return { messages, attachments };
+}
+
+// Helper function to list the attachments a message body doesn't mention yet
+function unmentionedAttachments(text, attachmentNames) {
+  return attachmentNames.filter(name => !text.toLowerCase().includes(`[attachment: ${name.toLowerCase()}]`));
+}
+
+// Format a conversation as a plain text transcript
+// Returns { text, attachments } where attachments are the files to upload with the ticket
+function formatConversationAsText(conversation) {
+  const { messages, attachments } = collectTranscriptMessages(conversation);
+
+  const text = messages.map(message => {
+    const body = htmlToText(message.body);
+    const lines = [`[${message.time}] ${message.author}${message.isNote ? ' (Private note)' : ''}:`];
+    if (body) lines.push(body);
+    unmentionedAttachments(body, message.attachmentNames).forEach(name => lines.push(`[Attachment: ${name}]`));
+    return lines.join('\n');
+  }).join('\n\n');
+
+  return { text, attachments };
+}
+
+// Format a conversation as a Markdown transcript
+// Returns { markdown, attachments } where attachments are the files to upload with the ticket
+function formatConversationAsMarkdown(conversation) {
+  const { messages, attachments } = collectTranscriptMessages(conversation);
+
+  const markdown = messages.map(message => {
+    const body = htmlToText(message.body, { markdown: true });
+    const lines = [`**${message.author}** · ${message.time}${message.isNote ? ' · _Private note_' : ''}`, ''];
+    if (body) lines.push(body);
+    unmentionedAttachments(body, message.attachmentNames).forEach(name => lines.push(`- _[Attachment: ${name}]_`));
+    return lines.join('\n').trim();
+  }).join('\n\n---\n\n');
+
+  return { markdown, attachments };
+}
+
+// Summarize a conversation for a ticket description: message count, participants and time range
+function summarizeConversation(conversation) {
+  const { messages } = collectTranscriptMessages(conversation);
+  return {
+    messageCount: messages.length,
+    noteCount: messages.filter(message => message.isNote).length,
+    participants: [...new Set(messages.map(message => message.author))],
+    firstMessageAt: messages.length > 0 ? messages[0].time : null,
+    lastMessageAt: messages.length > 0 ? messages[messages.length - 1].time : null
+  };
+}
+
+// Export a conversation as a file: 'txt' is the plain text transcript,
+// 'json' the raw conversation parts as returned by Intercom
+// Returns { name, content_type, buffer } like the downloaded attachments
+function buildConversationExport(conversation, exportFormat) {
+  if (exportFormat === 'txt') {
+    return {
+      name: `intercom-conversation-${conversation.id}.txt`,
+      content_type: 'text/plain',
+      buffer: Buffer.from(formatConversationAsText(conversation).text, 'utf8')
+    };
+  }
+
+  const rawConversation = {
+    id: conversation.id,
+    created_at: conversation.created_at,
+    updated_at: conversation.updated_at,
+    source: conversation.source,
+    conversation_parts: (conversation.conversation_parts && conversation.conversation_parts.conversation_parts) || []
+  };
+  return {
+    name: `intercom-conversation-${conversation.id}.json`,
+    content_type: 'application/json',
+    buffer: Buffer.from(JSON.stringify(rawConversation, null, 2), 'utf8')
+  };
+}
+
+// Decide whether the transcript goes into an attachment instead of the description
+// Returns null (transcript in the description) or { exportFormat: 'json' | 'txt' }
+function resolveTranscriptAttachment({ template } = {}) {
+  const enabled = typeof template?.transcript_attachment === 'boolean'
+    ? template.transcript_attachment
+    : process.env.TRANSCRIPT_AS_ATTACHMENT === 'true';
+  if (!enabled) {
+    return null;
+  }
+
+  const exportFormat = String(process.env.TRANSCRIPT_EXPORT_FORMAT || '').trim().toLowerCase();
+  return { exportFormat: EXPORT_FORMATS.includes(exportFormat) ? exportFormat : 'json' };
+}
+
+// Helper function to check a configured format, null if it isn't one of TRANSCRIPT_FORMATS
+function normalizeFormat(format) {
+  const value = String(format || '').trim().toLowerCase();
+  return TRANSCRIPT_FORMATS.includes(value) ? value : null;
+}
+
+// Pick the transcript format for a ticket: the template's format, then the mailbox's, then TRANSCRIPT_FORMAT
+// mailbox is { product_id, support_email } (either may be missing)
+function resolveTranscriptFormat({ template, mailbox } = {}) {
+  const templateFormat = normalizeFormat(template?.transcript_format);
+  if (templateFormat) {
+    return templateFormat;
+  }
+
+  if (mailbox) {
+    const keys = [mailbox.product_id, mailbox.support_email]
+      .filter(key => key !== undefined && key !== null && key !== '')
+      .map(key => String(key).toLowerCase());
+    for (const entry of parseList(process.env.TRANSCRIPT_FORMAT_BY_MAILBOX)) {
+      const [key, format] = entry.split('=').map(value => value.trim());
+      if (keys.includes(String(key).toLowerCase()) && normalizeFormat(format)) {
+        return normalizeFormat(format);
+      }
+    }
+  }
+
+  return normalizeFormat(process.env.TRANSCRIPT_FORMAT) || 'html';
+}
+
+module.exports = {
+  htmlToText,
+  extractInlineImages,
+  formatConversationAsText,
+  formatConversationAsMarkdown,
+  summarizeConversation,
+  buildConversationExport,
+  resolveTranscriptFormat,
+  resolveTranscriptAttachment
+};